@@ -0,0 +1,62 @@
+// Quotes a value only when it contains a delimiter, quote or line break (RFC 4180)
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCsvValue).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escapeCsvValue(row[column])).join(","));
+  }
+  return lines.join("\r\n");
+};
+
+// Parses RFC 4180 text into one object per record, keyed by the trimmed header
+// row; blank lines are skipped and missing trailing cells read as ""
+const parseCsv = (text) => {
+  const input = text.replace(/^\uFEFF/, "");
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char !== '"') field += char;
+      else if (input[i + 1] === '"') field += input[i++];
+      else quoted = false;
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...rows] = records.filter((values) =>
+    values.some((value) => value.trim() !== "")
+  );
+  const columns = header.map((column) => column.trim());
+  return rows.map((values) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, values[index] ?? ""])
+    )
+  );
+};
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,113 @@
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const defaultErrorCodes = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  500: "INTERNAL_ERROR",
+};
+
+const errorBody = (status, code, message, details = null) => ({
+  error: {
+    code: code || defaultErrorCodes[status] || "ERROR",
+    message: message || "Request failed.",
+    details,
+  },
+});
+
+const isErrorBody = (body) =>
+  typeof body?.error === "object" &&
+  body.error !== null &&
+  "code" in body.error &&
+  "message" in body.error;
+
+// Routes reply with { code?, message, ...extra }; reshape any error reply into
+// { error: { code, message, details } } so clients only handle one format
+const normalizeErrorResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (
+      res.statusCode < 400 ||
+      typeof body !== "object" ||
+      body === null ||
+      isErrorBody(body)
+    ) {
+      return json(body);
+    }
+    // Raw driver/SDK errors attached as `error` are logged, never returned
+    const { code, message, details, error, ...extra } = body;
+    const rest = Object.keys(extra).length ? extra : null;
+    return json(
+      errorBody(
+        res.statusCode,
+        typeof code === "string" ? code : null,
+        message,
+        details ?? rest
+      )
+    );
+  };
+  next();
+};
+
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  if (err.name === "BSONError") {
+    return new ApiError(400, "INVALID_ID", "Malformed id.");
+  }
+  if (err.code === 11000) {
+    return new ApiError(409, "DUPLICATE", "Resource already exists.", {
+      keys: err.keyValue || null,
+    });
+  }
+  if (err.type === "entity.parse.failed") {
+    return new ApiError(400, "INVALID_JSON", "Request body is not valid JSON.");
+  }
+  if (err.message === "Not allowed by CORS") {
+    return new ApiError(403, "CORS_REJECTED", err.message);
+  }
+  // httpError() and body-parser errors carry their own status
+  const status = err.status || err.statusCode;
+  if (status >= 400 && status < 500) {
+    return new ApiError(
+      status,
+      typeof err.code === "string" ? err.code : null,
+      err.message
+    );
+  }
+  return new ApiError(500, "INTERNAL_ERROR", "Something went wrong.");
+};
+
+const notFoundHandler = (req, res) => {
+  res
+    .status(404)
+    .send(
+      errorBody(404, "ROUTE_NOT_FOUND", `Cannot ${req.method} ${req.path}`)
+    );
+};
+
+// Express only treats four-argument middleware as an error handler
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) return next(err);
+  const error = toApiError(err);
+  if (error.status >= 500) console.error("Unhandled error:", err);
+  res
+    .status(error.status)
+    .send(errorBody(error.status, error.code, error.message, error.details));
+};
+
+module.exports = {
+  ApiError,
+  normalizeErrorResponses,
+  notFoundHandler,
+  errorHandler,
+};
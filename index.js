@@ -4,9 +4,31 @@ const cors = require("cors");
 const { MongoClient, ServerApiVersion, ObjectId } = require("mongodb");
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
 const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { renderInvoicePdf } = require("./invoicePdf");
+const { toCsv, parseCsv } = require("./csv");
+const {
+  notificationEvents,
+  renderNotification,
+  createMailTransport,
+} = require("./notifications");
+const {
+  ApiError,
+  normalizeErrorResponses,
+  notFoundHandler,
+  errorHandler,
+} = require("./errors");
+const {
+  validate,
+  validateFields,
+  registerParamValidators,
+} = require("./validation");
 const port = process.env.PORT || 3000;
 
 const app = express();
+const mailTransport = createMailTransport();
+// Deployed behind one proxy (Vercel); lets req.ip report the client address for audit logs
+app.set("trust proxy", 1);
 
 // firebase admin
 const decoded = Buffer.from(process.env.FB_SERVICE_KEY, "base64").toString(
@@ -39,11 +61,21 @@ app.use(
     credentials: true,
     methods: ["GET", "POST", "PUT", "PATCH", "DELETE"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: ["X-Total-Count"],
   })
 );
 
 // middleware
-app.use(express.json());
+// Stripe webhooks are verified against the raw request body, and book imports
+// parse their own (larger, possibly CSV) bodies, so skip JSON parsing there
+const jsonParser = express.json();
+const ownBodyParserPaths = ["/webhooks/stripe", "/books/import"];
+app.use((req, res, next) => {
+  if (ownBodyParserPaths.includes(req.path)) return next();
+  jsonParser(req, res, next);
+});
+app.use(normalizeErrorResponses);
+registerParamValidators(app);
 // app.use(
 //   cors({
 //     origin: [process.env.CLIENT_DOMAIN],
@@ -64,13 +96,26 @@ const verifyJWT = async (req, res, next) => {
   try {
     const decoded = await admin.auth().verifyIdToken(token);
     req.tokenEmail = decoded.email;
-    next();
+    req.tokenUser = decoded;
   } catch (err) {
     console.error("JWT Verification Error:", err.code);
     return res
       .status(401)
       .send({ message: "Unauthorized Access: Invalid Token", error: err.code });
   }
+
+  // A valid token is not enough once an admin has suspended the account
+  const account = await client
+    .db("booksDB")
+    .collection("users")
+    .findOne({ email: req.tokenEmail }, { projection: { suspended: 1 } });
+  if (account?.suspended) {
+    return res.status(403).send({
+      code: "ACCOUNT_SUSPENDED",
+      message: "This account has been suspended.",
+    });
+  }
+  next();
 };
 
 const client = new MongoClient(process.env.MONGODB_URL, {
@@ -89,6 +134,21 @@ async function run() {
     const usersCollection = db.collection("users");
     const reviewsCollection = db.collection("reviews");
     const wishlistCollection = db.collection("wishlist");
+    const stripeEventsCollection = db.collection("stripeEvents");
+    const deliveriesCollection = db.collection("deliveries");
+    const addressesCollection = db.collection("addresses");
+    const shippingZonesCollection = db.collection("shippingZones");
+    const settingsCollection = db.collection("settings");
+    const cartsCollection = db.collection("carts");
+    const couponsCollection = db.collection("coupons");
+    const couponRedemptionsCollection = db.collection("couponRedemptions");
+    const countersCollection = db.collection("counters");
+    const auditLogsCollection = db.collection("auditLogs");
+    const notificationsCollection = db.collection("notifications");
+    const librarianApplicationsCollection = db.collection(
+      "librarianApplications"
+    );
+    const librariesCollection = db.collection("libraries");
 
     const getUserRole = async (email) => {
       return await usersCollection.findOne(
@@ -123,22 +183,483 @@ async function run() {
       next();
     };
 
-    app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
+    const verifyCourier = async (req, res, next) => {
+      const userRole = await getUserRole(req.tokenEmail);
+      req.userRole = userRole?.role;
+
+      if (
+        !userRole ||
+        (userRole.role !== "courier" && userRole.role !== "admin")
+      ) {
+        return res
+          .status(403)
+          .send({ message: "Forbidden: Courier privilege required" });
+      }
+      next();
+    };
+
+    // audit log: append-only record of privileged mutations; nothing updates or deletes entries
+    const auditDiff = (before, after) => {
+      const changes = {};
+      const fields = new Set([
+        ...Object.keys(before || {}),
+        ...Object.keys(after || {}),
+      ]);
+      for (const field of fields) {
+        if (field === "_id") continue;
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+          changes[field] = { from, to };
+        }
+      }
+      return changes;
+    };
+
+    // Awaited after the mutation succeeds; a failed write is logged but never fails the request
+    const recordAudit = async (
+      req,
+      { action, target, before = null, after = null, metadata = null }
+    ) => {
       try {
+        await auditLogsCollection.insertOne({
+          actorEmail: req.tokenEmail,
+          actorRole: req.userRole || null,
+          action,
+          target,
+          changes: auditDiff(before, after),
+          metadata,
+          // Set by the ownership checks when an admin acts on someone else's resource
+          adminOverride: req.adminOverride || null,
+          ip: req.ip,
+          userAgent: req.get("user-agent") || null,
+          createdAt: new Date(),
+        });
+      } catch (error) {
+        console.error("Failed to write audit log:", error);
+      }
+    };
+
+    const pickFields = (doc, fields) =>
+      Object.fromEntries(fields.map((field) => [field, doc?.[field] ?? null]));
+
+    // Lists that predate paging still answer with every match as a plain array;
+    // they page only when the client sends page or size, and the total is in X-Total-Count
+    const paginateIfRequested = (cursor, query, defaultSize) => {
+      if (query.page === undefined && query.size === undefined) return cursor;
+      const size = parseInt(query.size) || defaultSize;
+      return cursor.skip((parseInt(query.page) || 0) * size).limit(size);
+    };
+
+    const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+    app.get(
+      "/admin/audit-logs",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        query: {
+          actor: { type: "string", maxLength: 200 },
+          action: { type: "string", maxLength: 100 },
+          targetType: { type: "string", maxLength: 50 },
+          targetId: { type: "string", maxLength: 100 },
+          from: { type: "date" },
+          to: { type: "date" },
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 200 },
+        },
+      }),
+      async (req, res) => {
+        const { actor, action, targetType, targetId, from, to } = req.query;
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 50;
+
         const query = {};
+        if (actor) query.actorEmail = actor.toLowerCase();
+        // "order" matches every order.* action; a full name matches exactly
+        if (action) {
+          query.action = action.includes(".")
+            ? action
+            : { $regex: `^${escapeRegex(action)}\\.` };
+        }
+        if (targetType) query["target.type"] = targetType;
+        if (targetId) query["target.id"] = targetId;
+        if (from || to) {
+          query.createdAt = {
+            ...(from && { $gte: new Date(from) }),
+            ...(to && { $lte: new Date(to) }),
+          };
+        }
+
+        try {
+          const [logs, count] = await Promise.all([
+            auditLogsCollection
+              .find(query)
+              .sort({ createdAt: -1 })
+              .skip(page * size)
+              .limit(size)
+              .toArray(),
+            auditLogsCollection.countDocuments(query),
+          ]);
+          res.send({ result: logs, count });
+        } catch (error) {
+          console.error("Error fetching audit logs:", error);
+          res.status(500).send({ message: "Failed to fetch audit logs." });
+        }
+      }
+    );
 
-        const projection = { password: 0 }; // Exclude the password/sensitive fields
+    // notifications: in-app entries plus email, filtered by each user's per-event preferences
+    const getNotificationPreferences = (user) =>
+      Object.fromEntries(
+        notificationEvents.map((event) => [
+          event,
+          {
+            inApp: true,
+            email: true,
+            ...user?.notificationPreferences?.[event],
+          },
+        ])
+      );
+
+    const emailBatchSize = 10;
 
-        const result = await usersCollection
-          .find(query, { projection })
+    // Sends one event to many recipients: one preferences lookup, one insertMany for
+    // the in-app entries, and emails in parallel batches. Everything is awaited, as a
+    // serverless function may be frozen as soon as it responds. Like recordAudit, it
+    // never fails the request that triggered it; failed emails are only logged
+    const notifyMany = async (event, recipients) => {
+      const targets = recipients.filter(({ recipientEmail }) => recipientEmail);
+      if (!targets.length) return;
+      try {
+        const users = await usersCollection
+          .find(
+            { email: { $in: targets.map((target) => target.recipientEmail) } },
+            { projection: { email: 1, notificationPreferences: 1 } }
+          )
           .toArray();
+        const usersByEmail = new Map(users.map((user) => [user.email, user]));
+        const rendered = targets.map(({ recipientEmail, data }) => ({
+          recipientEmail,
+          preference: getNotificationPreferences(
+            usersByEmail.get(recipientEmail)
+          )[event],
+          ...renderNotification(event, data, process.env.CLIENT_DOMAIN),
+        }));
+
+        const createdAt = new Date();
+        const inApp = rendered
+          .filter(({ preference }) => preference.inApp)
+          .map(({ recipientEmail, title, message, link }) => ({
+            recipientEmail,
+            event,
+            title,
+            message,
+            link,
+            read: false,
+            createdAt,
+          }));
+        if (inApp.length) await notificationsCollection.insertMany(inApp);
+
+        const emails = rendered.filter(({ preference }) => preference.email);
+        for (let i = 0; i < emails.length; i += emailBatchSize) {
+          const results = await Promise.allSettled(
+            emails
+              .slice(i, i + emailBatchSize)
+              .map(({ recipientEmail, email }) =>
+                mailTransport.send({ to: recipientEmail, ...email })
+              )
+          );
+          results
+            .filter((result) => result.status === "rejected")
+            .forEach(({ reason }) =>
+              console.error(`Failed to email ${event} notification:`, reason)
+            );
+        }
+      } catch (error) {
+        console.error("Failed to create notification:", error);
+      }
+    };
+
+    const notify = (recipientEmail, event, data) =>
+      notifyMany(event, [{ recipientEmail, data }]);
+
+    app.get(
+      "/notifications",
+      verifyJWT,
+      validate({
+        query: {
+          unread: { type: "boolean" },
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+        },
+      }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 20;
+        const mine = { recipientEmail: req.tokenEmail };
+        const query =
+          req.query.unread === "true" ? { ...mine, read: false } : mine;
+        try {
+          const [result, count, unreadCount] = await Promise.all([
+            notificationsCollection
+              .find(query)
+              .sort({ createdAt: -1 })
+              .skip(page * size)
+              .limit(size)
+              .toArray(),
+            notificationsCollection.countDocuments(query),
+            notificationsCollection.countDocuments({ ...mine, read: false }),
+          ]);
+          res.send({ result, count, unreadCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch notifications." });
+        }
+      }
+    );
+
+    app.get("/notifications/unread-count", verifyJWT, async (req, res) => {
+      try {
+        const count = await notificationsCollection.countDocuments({
+          recipientEmail: req.tokenEmail,
+          read: false,
+        });
+        res.send({ count });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to count notifications." });
+      }
+    });
+
+    app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+      try {
+        const result = await notificationsCollection.updateMany(
+          { recipientEmail: req.tokenEmail, read: false },
+          { $set: { read: true, readAt: new Date() } }
+        );
         res.send(result);
       } catch (error) {
-        console.error("Error fetching all users:", error);
-        res.status(500).send({ message: "Failed to retrieve user list." });
+        res.status(500).send({ message: "Failed to update notifications." });
+      }
+    });
+
+    app.patch("/notifications/:id/read", verifyJWT, async (req, res) => {
+      try {
+        const notification = await notificationsCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), recipientEmail: req.tokenEmail },
+          [{ $set: { read: true, readAt: { $ifNull: ["$readAt", "$$NOW"] } } }],
+          { returnDocument: "after" }
+        );
+        if (!notification) {
+          return res.status(404).send({ message: "Notification not found." });
+        }
+        res.send(notification);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to update notification." });
+      }
+    });
+
+    app.get("/notifications/preferences", verifyJWT, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne(
+          { email: req.tokenEmail },
+          { projection: { notificationPreferences: 1 } }
+        );
+        res.send(getNotificationPreferences(user));
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch preferences." });
+      }
+    });
+
+    const notificationPreferenceSchema = Object.fromEntries(
+      notificationEvents.map((event) => [
+        event,
+        {
+          type: "object",
+          fields: {
+            inApp: { type: "boolean" },
+            email: { type: "boolean" },
+          },
+        },
+      ])
+    );
+
+    // Partial: only the events and channels sent are changed
+    app.patch(
+      "/notifications/preferences",
+      verifyJWT,
+      validate({ body: notificationPreferenceSchema, partial: true }),
+      async (req, res) => {
+        const updates = {};
+        for (const [event, channels] of Object.entries(req.body)) {
+          for (const [channel, enabled] of Object.entries(channels)) {
+            updates[`notificationPreferences.${event}.${channel}`] = enabled;
+          }
+        }
+        if (!Object.keys(updates).length) {
+          return res.status(400).send({ message: "No preferences to update." });
+        }
+        try {
+          const user = await usersCollection.findOneAndUpdate(
+            { email: req.tokenEmail },
+            { $set: updates },
+            {
+              returnDocument: "after",
+              projection: { notificationPreferences: 1 },
+            }
+          );
+          if (!user) {
+            return res.status(404).send({
+              code: "USER_NOT_REGISTERED",
+              message: "No profile exists yet; call POST /users after login.",
+            });
+          }
+          res.send(getNotificationPreferences(user));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update preferences." });
+        }
+      }
+    );
+
+    // profiles: created or refreshed from the verified Firebase token on every login
+    const profileProjection = { password: 0 };
+    const profileSchema = {
+      name: { type: "string", minLength: 1, maxLength: 100 },
+      image: { type: "string", maxLength: 2048, nullable: true },
+      phone: {
+        type: "string",
+        pattern: /^\+?[0-9\s-]{7,20}$/,
+        nullable: true,
+      },
+      bio: { type: "string", maxLength: 1000, nullable: true },
+    };
+
+    app.post("/users", verifyJWT, async (req, res) => {
+      const now = new Date();
+      const upsertProfile = () =>
+        usersCollection.findOneAndUpdate(
+          { email: req.tokenEmail },
+          {
+            $set: { lastLoginAt: now },
+            $setOnInsert: {
+              email: req.tokenEmail,
+              name: req.tokenUser.name || null,
+              image: req.tokenUser.picture || null,
+              role: "user",
+              createdAt: now,
+            },
+          },
+          {
+            upsert: true,
+            returnDocument: "after",
+            projection: profileProjection,
+          }
+        );
+      try {
+        // Two first logins at once race on the unique email index; the loser retries as an update
+        const user = await upsertProfile().catch((error) => {
+          if (error.code === 11000) return upsertProfile();
+          throw error;
+        });
+        res.send(user);
+      } catch (error) {
+        console.error("Error registering user:", error);
+        res.status(500).send({ message: "Failed to register user." });
+      }
+    });
+
+    app.get("/users/me", verifyJWT, async (req, res) => {
+      try {
+        const user = await usersCollection.findOne(
+          { email: req.tokenEmail },
+          { projection: profileProjection }
+        );
+        if (!user) {
+          return res.status(404).send({
+            code: "USER_NOT_REGISTERED",
+            message: "No profile exists yet; call POST /users after login.",
+          });
+        }
+        res.send(user);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch profile." });
       }
     });
 
+    app.patch(
+      "/users/me",
+      verifyJWT,
+      validate({ body: profileSchema, partial: true }),
+      async (req, res) => {
+        if (!Object.keys(req.body).length) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+        try {
+          const user = await usersCollection.findOneAndUpdate(
+            { email: req.tokenEmail },
+            { $set: { ...req.body, updatedAt: new Date() } },
+            { returnDocument: "after", projection: profileProjection }
+          );
+          if (!user) {
+            return res.status(404).send({
+              code: "USER_NOT_REGISTERED",
+              message: "No profile exists yet; call POST /users after login.",
+            });
+          }
+          res.send(user);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update profile." });
+        }
+      }
+    );
+
+    app.get(
+      "/users",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        query: {
+          search: { type: "string", maxLength: 200 },
+          role: {
+            type: "string",
+            enum: ["user", "librarian", "courier", "admin"],
+          },
+          status: { type: "string", enum: ["active", "suspended"] },
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+        },
+      }),
+      async (req, res) => {
+        const { search, role, status } = req.query;
+
+        const query = {};
+        if (search) {
+          const pattern = { $regex: escapeRegex(search), $options: "i" };
+          query.$or = [{ name: pattern }, { email: pattern }];
+        }
+        // Users created before roles were stored have no role field
+        if (role) query.role = role === "user" ? { $in: ["user", null] } : role;
+        if (status)
+          query.suspended = status === "suspended" ? true : { $ne: true };
+
+        try {
+          const [result, count] = await Promise.all([
+            paginateIfRequested(
+              usersCollection
+                .find(query, { projection: profileProjection })
+                .sort({ _id: -1 }),
+              req.query,
+              20
+            ).toArray(),
+            usersCollection.countDocuments(query),
+          ]);
+          res.set("X-Total-Count", String(count)).send(result);
+        } catch (error) {
+          console.error("Error fetching all users:", error);
+          res.status(500).send({ message: "Failed to retrieve user list." });
+        }
+      }
+    );
+
     app.get("/users/role/:email", verifyJWT, async (req, res) => {
       const email = req.params.email; // Security check: Must match token email
 
@@ -164,16 +685,42 @@ async function run() {
       }
     });
 
-    app.get("/users", verifyJWT, verifyAdmin, async (req, res) => {
-      const result = await usersCollection.find().toArray();
-      res.send(result);
-    });
+    // Loads the :id user for admin account actions; admins never act on their own account here
+    const findManagedUser = async (req, res) => {
+      const user = await usersCollection.findOne(
+        { _id: new ObjectId(req.params.id) },
+        { projection: { email: 1, role: 1, suspended: 1 } }
+      );
+      if (!user) {
+        res.status(404).send({ message: "User not found." });
+        return null;
+      }
+      if (user.email === req.tokenEmail) {
+        res.status(409).send({
+          code: "SELF_MANAGEMENT",
+          message: "Admins cannot change their own role or account status.",
+        });
+        return null;
+      }
+      return user;
+    };
 
     const updateRole = async (req, res, newRole) => {
       const id = req.params.id;
-      const query = { _id: new ObjectId(id) };
+      const user = await findManagedUser(req, res);
+      if (!user) return;
       const updateDoc = { $set: { role: newRole, lastRoleUpdate: new Date() } };
-      const result = await usersCollection.updateOne(query, updateDoc);
+      const result = await usersCollection.updateOne(
+        { _id: user._id },
+        updateDoc
+      );
+      await recordAudit(req, {
+        action: "user.role_change",
+        target: { type: "user", id, email: user.email },
+        before: { role: user.role || "user" },
+        after: { role: newRole },
+      });
+      await notify(user.email, "role_changed", { role: newRole });
       res.send(result);
     };
     app.patch(
@@ -194,568 +741,7453 @@ async function run() {
       }
     );
 
-    app.post("/books", verifyJWT, verifyLibrarian, async (req, res) => {
-      const bookData = req.body;
-      bookData.librarianEmail = req.tokenEmail;
-      const result = await booksCollection.insertOne(bookData);
-      res.send(result);
-    });
-    app.get("/books", async (req, res) => {
-      const page = parseInt(req.query.page) || 0;
-      const size = parseInt(req.query.size) || 10;
-      const search = req.query.search;
-      const category = req.query.category;
-      const rating = req.query.rating;
-      let query = { status: "published" };
-
-      if (search && search !== "undefined") {
-        query.$or = [
-          { bookTitle: { $regex: search, $options: "i" } },
-          { authorName: { $regex: search, $options: "i" } },
-        ];
+    app.patch(
+      "/users/make-courier/:id",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        await updateRole(req, res, "courier");
       }
-      if (category && category !== "undefined" && category !== "") {
-        query.category = category;
+    );
+
+    app.patch(
+      "/users/make-user/:id",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        await updateRole(req, res, "user");
       }
-      if (rating && rating !== "0") {
-        query.rating = { $gte: parseFloat(rating) };
+    );
+
+    const setSuspension = async (req, res, suspended) => {
+      const user = await findManagedUser(req, res);
+      if (!user) return;
+      if (!!user.suspended === suspended) {
+        return res.status(409).send({
+          code: suspended ? "ALREADY_SUSPENDED" : "NOT_SUSPENDED",
+          message: suspended
+            ? "This account is already suspended."
+            : "This account is not suspended.",
+        });
       }
 
-      try {
-        const result = await booksCollection
-          .find(query)
-          .skip(page * size)
-          .limit(size)
-          .toArray();
+      const now = new Date();
+      const update = suspended
+        ? {
+            $set: {
+              suspended: true,
+              suspendedAt: now,
+              suspendedBy: req.tokenEmail,
+              suspensionReason: req.body?.reason || null,
+            },
+          }
+        : {
+            $set: { suspended: false, reactivatedAt: now },
+            $unset: { suspendedAt: "", suspendedBy: "", suspensionReason: "" },
+          };
+      const result = await usersCollection.updateOne({ _id: user._id }, update);
+      await recordAudit(req, {
+        action: suspended ? "user.suspend" : "user.reactivate",
+        target: { type: "user", id: req.params.id, email: user.email },
+        before: { suspended: !!user.suspended },
+        after: { suspended },
+        metadata: suspended ? { reason: req.body?.reason || null } : null,
+      });
+      res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+    };
 
-        const count = await booksCollection.countDocuments(query);
-        res.send({ result, count });
-      } catch (error) {
-        res.status(500).send({ message: "Error fetching books", error });
+    app.patch(
+      "/users/:id/suspend",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: { reason: { type: "string", maxLength: 1000 } } }),
+      async (req, res) => {
+        await setSuspension(req, res, true);
       }
-    });
-    app.get("/latest-books", async (req, res) => {
-      const limit = 6;
-      const query = { status: "published" };
-      const result = await booksCollection
-        .find(query)
-        .sort({ _id: -1 })
-        .limit(limit)
-        .toArray();
-      res.send(result);
-    });
+    );
 
-    app.get("/books/all", verifyJWT, verifyAdmin, async (req, res) => {
+    app.patch(
+      "/users/:id/reactivate",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        await setSuspension(req, res, false);
+      }
+    );
+
+    // librarian onboarding: users apply, admins approve (role + library profile) or reject
+    const librarianApplicationSchema = {
+      libraryName: {
+        type: "string",
+        required: true,
+        minLength: 2,
+        maxLength: 150,
+      },
+      address: { type: "string", required: true, minLength: 5, maxLength: 500 },
+      contactPhone: {
+        type: "string",
+        required: true,
+        pattern: /^\+?[0-9\s-]{7,20}$/,
+      },
+      contactEmail: { type: "email" },
+      description: { type: "string", maxLength: 2000 },
+      documentUrls: {
+        type: "array",
+        maxItems: 10,
+        items: { type: "string", maxLength: 2048, pattern: /^https?:\/\//i },
+      },
+    };
+
+    // Books show their library without a join, so the name is copied onto them
+    const attachLibraryToBooks = (library) =>
+      booksCollection.updateMany(
+        { librarianEmail: library.ownerEmail },
+        { $set: { library: { _id: library._id, name: library.name } } }
+      );
+
+    app.post(
+      "/librarian-applications",
+      verifyJWT,
+      validate({ body: librarianApplicationSchema }),
+      async (req, res) => {
+        try {
+          const user = await usersCollection.findOne(
+            { email: req.tokenEmail },
+            { projection: { role: 1, name: 1 } }
+          );
+          if (!user) {
+            return res.status(404).send({
+              code: "USER_NOT_REGISTERED",
+              message: "No profile exists yet; call POST /users after login.",
+            });
+          }
+          if (user.role && user.role !== "user") {
+            return res.status(409).send({
+              code: "ALREADY_PRIVILEGED",
+              message: `Your account already has the ${user.role} role.`,
+            });
+          }
+          const pending = await librarianApplicationsCollection.findOne({
+            applicantEmail: req.tokenEmail,
+            status: "pending",
+          });
+          if (pending) {
+            return res.status(409).send({
+              code: "APPLICATION_PENDING",
+              message: "You already have an application under review.",
+              applicationId: pending._id,
+            });
+          }
+
+          const application = {
+            ...req.body,
+            contactEmail: req.body.contactEmail || req.tokenEmail,
+            documentUrls: req.body.documentUrls || [],
+            applicantEmail: req.tokenEmail,
+            applicantName: user.name || null,
+            status: "pending",
+            submittedAt: new Date(),
+          };
+          const result = await librarianApplicationsCollection.insertOne(
+            application
+          );
+          res.send({ ...application, _id: result.insertedId });
+        } catch (error) {
+          console.error("Error submitting librarian application:", error);
+          res.status(500).send({ message: "Failed to submit application." });
+        }
+      }
+    );
+
+    // Newest first, so the first entry is the current application
+    app.get("/librarian-applications/me", verifyJWT, async (req, res) => {
       try {
-        const allBooks = await booksCollection
-          .find({})
-          .sort({ _id: -1 })
+        const applications = await librarianApplicationsCollection
+          .find({ applicantEmail: req.tokenEmail })
+          .sort({ submittedAt: -1 })
           .toArray();
-        res.send(allBooks);
+        res.send(applications);
       } catch (error) {
-        res.status(500).send({ message: "Failed to fetch all books." });
+        res.status(500).send({ message: "Failed to fetch applications." });
       }
     });
 
-    app.get("/books/:id", async (req, res) => {
-      const id = req.params.id;
-      const result = await booksCollection.findOne({ _id: new ObjectId(id) });
-      res.send(result);
-    });
-
     app.get(
-      "/my-books/:email",
+      "/admin/librarian-applications",
       verifyJWT,
-      verifyLibrarian,
+      verifyAdmin,
+      validate({
+        query: {
+          status: { type: "string", enum: ["pending", "approved", "rejected"] },
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+        },
+      }),
       async (req, res) => {
-        const userEmail = req.params.email;
-        if (userEmail !== req.tokenEmail) {
-          return res
-            .status(403)
-            .send({ message: "Forbidden: Email does not match user" });
-        }
-
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 20;
+        const query = req.query.status ? { status: req.query.status } : {};
         try {
-          const query = { "seller_libarien.email": userEmail };
-          const myBooks = await booksCollection
-            .find(query)
-            .sort({ _id: -1 })
-            .toArray();
-          res.send(myBooks);
+          const [result, count] = await Promise.all([
+            librarianApplicationsCollection
+              .find(query)
+              // Oldest pending applications first so none wait forever
+              .sort({ submittedAt: req.query.status === "pending" ? 1 : -1 })
+              .skip(page * size)
+              .limit(size)
+              .toArray(),
+            librarianApplicationsCollection.countDocuments(query),
+          ]);
+          res.send({ result, count });
         } catch (error) {
-          res.status(500).send({ message: "Failed to fetch books." });
+          res.status(500).send({ message: "Failed to fetch applications." });
         }
       }
     );
-    app.patch(
-      "/books/status/:id",
+
+    // Moves a pending application to approved/rejected exactly once
+    const reviewApplication = (req, status, extra = {}) =>
+      librarianApplicationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(req.params.id), status: "pending" },
+        {
+          $set: {
+            status,
+            reviewedBy: req.tokenEmail,
+            reviewedAt: new Date(),
+            ...extra,
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+    const applicationNotPending = (res) =>
+      res.status(409).send({
+        code: "APPLICATION_NOT_PENDING",
+        message: "Only pending applications can be reviewed.",
+      });
+
+    app.patch(
+      "/admin/librarian-applications/:id/approve",
       verifyJWT,
-      verifyLibrarian,
+      verifyAdmin,
       async (req, res) => {
-        const id = req.params.id;
-        const { status } = req.body;
         try {
-          const result = await booksCollection.updateOne(
-            { _id: new ObjectId(id) },
-            { $set: { status: status } }
+          const pending = await librarianApplicationsCollection.findOne(
+            { _id: new ObjectId(req.params.id), status: "pending" },
+            { projection: { applicantEmail: 1 } }
           );
-          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+          if (!pending) return applicationNotPending(res);
+          const user = await usersCollection.findOne(
+            { email: pending.applicantEmail },
+            { projection: { role: 1 } }
+          );
+          if (!user) {
+            return res.status(404).send({
+              code: "APPLICANT_NOT_FOUND",
+              message: "The applicant no longer has a user account.",
+            });
+          }
+
+          const application = await reviewApplication(req, "approved");
+          if (!application) return applicationNotPending(res);
+
+          const now = new Date();
+          // Admins can already do everything a librarian can; approval never demotes them
+          const role = user.role === "admin" ? "admin" : "librarian";
+          const roleUpdate =
+            role === "librarian"
+              ? await usersCollection.updateOne(
+                  {
+                    email: application.applicantEmail,
+                    role: { $ne: "admin" },
+                  },
+                  { $set: { role: "librarian", lastRoleUpdate: now } }
+                )
+              : null;
+          if (roleUpdate && roleUpdate.matchedCount === 0) {
+            // The account went away (or became an admin) since it was read
+            await librarianApplicationsCollection.updateOne(
+              { _id: application._id, status: "approved" },
+              {
+                $set: { status: "pending" },
+                $unset: { reviewedBy: "", reviewedAt: "" },
+              }
+            );
+            return res.status(409).send({
+              code: "APPLICANT_CHANGED",
+              message: "The applicant's account changed. Please retry.",
+            });
+          }
+          // Re-approval after a revoked role reuses the existing profile
+          const library = await librariesCollection.findOneAndUpdate(
+            { ownerEmail: application.applicantEmail },
+            {
+              $set: {
+                name: application.libraryName,
+                address: application.address,
+                contactPhone: application.contactPhone,
+                contactEmail: application.contactEmail,
+                description: application.description || null,
+                applicationId: application._id,
+                updatedAt: now,
+              },
+              $setOnInsert: {
+                ownerEmail: application.applicantEmail,
+                createdAt: now,
+              },
+            },
+            { upsert: true, returnDocument: "after" }
+          );
+          await attachLibraryToBooks(library);
+
+          await recordAudit(req, {
+            action: "librarian_application.approve",
+            target: {
+              type: "librarianApplication",
+              id: req.params.id,
+              email: application.applicantEmail,
+            },
+            before: { status: "pending", role: user.role || "user" },
+            after: { status: "approved", role },
+            metadata: { libraryId: library._id },
+          });
+          if (role === "librarian") {
+            await notify(application.applicantEmail, "role_changed", { role });
+          }
+          res.send({ acknowledged: true, application, library });
         } catch (error) {
-          res.status(500).send({ message: "Failed to update book status." });
+          console.error("Error approving librarian application:", error);
+          res.status(500).send({ message: "Failed to approve application." });
         }
       }
     );
 
-    app.patch("/books/:id", verifyJWT, verifyLibrarian, async (req, res) => {
-      const id = req.params.id;
-      const updatedBookData = req.body;
-      delete updatedBookData._id;
+    app.patch(
+      "/admin/librarian-applications/:id/reject",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        body: {
+          reason: {
+            type: "string",
+            required: true,
+            minLength: 3,
+            maxLength: 1000,
+          },
+        },
+      }),
+      async (req, res) => {
+        try {
+          const application = await reviewApplication(req, "rejected", {
+            rejectionReason: req.body.reason,
+          });
+          if (!application) return applicationNotPending(res);
 
-      try {
-        const result = await booksCollection.updateOne(
-          { _id: new ObjectId(id) },
-          { $set: updatedBookData }
-        );
+          await recordAudit(req, {
+            action: "librarian_application.reject",
+            target: {
+              type: "librarianApplication",
+              id: req.params.id,
+              email: application.applicantEmail,
+            },
+            before: { status: "pending" },
+            after: { status: "rejected" },
+            metadata: { reason: req.body.reason },
+          });
+          res.send({ acknowledged: true, application });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to reject application." });
+        }
+      }
+    );
+
+    // ownership: librarians act only on their own books and orders, customers on their
+    // own documents; admins may act on anyone's, and their audit entries flag the override.
+    // librarianEmail is the canonical book owner; seller_libarien is display data kept in sync
+    const getBookOwnerEmail = (book) =>
+      book.librarianEmail || book.seller_libarien?.email || null;
+
+    // Owners pass; admins pass with the override flagged for the audit log; everyone else is refused
+    const authorizeOwnership = async (req, ownerEmail) => {
+      if (ownerEmail && ownerEmail === req.tokenEmail) return true;
+      if (req.userRole === undefined) {
+        req.userRole = (await getUserRole(req.tokenEmail))?.role;
+      }
+      if (req.userRole !== "admin") return false;
+      req.adminOverride = { ownerEmail };
+      return true;
+    };
+
+    const ownedResources = {
+      book: {
+        collection: () => booksCollection,
+        ownerOf: getBookOwnerEmail,
+        label: "Book",
+      },
+      wishlist: {
+        collection: () => wishlistCollection,
+        ownerOf: (entry) => entry.userEmail,
+        label: "Wishlist item",
+      },
+    };
+
+    // Route middleware: loads the :id document into req.resource once ownership is checked
+    const requireOwnership = (type) => async (req, res, next) => {
+      const resource = ownedResources[type];
+      const doc = await resource
+        .collection()
+        .findOne({ _id: new ObjectId(req.params.id) });
+      if (!doc) {
+        return res
+          .status(404)
+          .send({ message: `${resource.label} not found.` });
+      }
+      const allowed = await authorizeOwnership(req, resource.ownerOf(doc));
+      if (!allowed) {
+        return res.status(403).send({
+          code: "NOT_OWNER",
+          message: `Forbidden: ${resource.label} belongs to someone else.`,
+        });
+      }
+      req.resource = doc;
+      next();
+    };
+
+    // address book
+    const addressFields = [
+      "recipientName",
+      "phone",
+      "addressLine",
+      "city",
+      "district",
+      "postalCode",
+    ];
+    const requiredAddressFields = [
+      "recipientName",
+      "phone",
+      "addressLine",
+      "city",
+      "district",
+    ];
+
+    const addressSchema = {
+      ...Object.fromEntries(
+        addressFields.map((field) => [
+          field,
+          { type: "string", maxLength: 200, nullable: true },
+        ])
+      ),
+      label: { type: "string", maxLength: 50, nullable: true },
+      isDefault: { type: "boolean" },
+    };
 
-        if (result.matchedCount === 0) {
-          return res.status(404).send({ message: "Book not found." });
+    const validateAddress = (input) => {
+      const address = {};
+      const errors = [];
+      for (const field of addressFields) {
+        const value =
+          typeof input?.[field] === "string" ? input[field].trim() : "";
+        if (!value && requiredAddressFields.includes(field)) {
+          errors.push(`${field} is required.`);
         }
-        res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        address[field] = value || null;
+      }
+      if (address.phone && !/^\+?[0-9\s-]{7,20}$/.test(address.phone)) {
+        errors.push("phone is not a valid phone number.");
+      }
+      return { address, errors };
+    };
+
+    app.get("/users/me/addresses", verifyJWT, async (req, res) => {
+      try {
+        const addresses = await addressesCollection
+          .find({ userEmail: req.tokenEmail })
+          .sort({ isDefault: -1, createdAt: -1 })
+          .toArray();
+        res.send(addresses);
       } catch (error) {
-        res.status(500).send({ message: "Failed to update book." });
+        res.status(500).send({ message: "Failed to fetch addresses." });
       }
     });
 
-    app.delete(
-      "/books/delete/:id",
+    app.post(
+      "/users/me/addresses",
       verifyJWT,
-      verifyAdmin,
+      validate({ body: addressSchema }),
       async (req, res) => {
-        const bookId = req.params.id;
+        const { address, errors } = validateAddress(req.body);
+        if (errors.length) {
+          return res.status(400).send({
+            code: "INVALID_ADDRESS",
+            message: "Invalid address.",
+            details: errors,
+          });
+        }
 
         try {
-          const deleteBookResult = await booksCollection.deleteOne({
-            _id: new ObjectId(bookId),
+          // The first saved address becomes the default automatically
+          const existingCount = await addressesCollection.countDocuments({
+            userEmail: req.tokenEmail,
           });
-          const deleteOrdersResult = await ordersCollection.deleteMany({
-            bookId: bookId,
+          const isDefault = req.body.isDefault === true || existingCount === 0;
+          if (isDefault) {
+            await addressesCollection.updateMany(
+              { userEmail: req.tokenEmail },
+              { $set: { isDefault: false } }
+            );
+          }
+
+          const result = await addressesCollection.insertOne({
+            ...address,
+            label: req.body.label || null,
+            userEmail: req.tokenEmail,
+            isDefault,
+            createdAt: new Date(),
           });
+          res.send(result);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to save address." });
+        }
+      }
+    );
 
-          if (deleteBookResult.deletedCount === 0) {
-            return res.status(404).send({ message: "Book not found." });
+    app.patch(
+      "/users/me/addresses/:id",
+      verifyJWT,
+      validate({ body: addressSchema, partial: true }),
+      async (req, res) => {
+        const query = {
+          _id: new ObjectId(req.params.id),
+          userEmail: req.tokenEmail,
+        };
+
+        try {
+          const existing = await addressesCollection.findOne(query);
+          if (!existing) {
+            return res.status(404).send({ message: "Address not found." });
           }
 
-          res.send({
-            acknowledged: true,
-            bookDeleted: deleteBookResult.deletedCount,
-            ordersDeleted: deleteOrdersResult.deletedCount,
-            message: `Book and ${deleteOrdersResult.deletedCount} associated orders deleted successfully.`,
+          const { address, errors } = validateAddress({
+            ...existing,
+            ...req.body,
+          });
+          if (errors.length) {
+            return res.status(400).send({
+              code: "INVALID_ADDRESS",
+              message: "Invalid address.",
+              details: errors,
+            });
+          }
+
+          const result = await addressesCollection.updateOne(query, {
+            $set: {
+              ...address,
+              label: req.body.label ?? existing.label ?? null,
+              updatedAt: new Date(),
+            },
           });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
         } catch (error) {
-          res
-            .status(500)
-            .send({ message: "Failed to delete book and associated orders." });
+          res.status(500).send({ message: "Failed to update address." });
         }
       }
     );
 
-    app.post("/orders", verifyJWT, async (req, res) => {
-      const orderData = req.body;
+    app.patch(
+      "/users/me/addresses/:id/default",
+      verifyJWT,
+      async (req, res) => {
+        const query = {
+          _id: new ObjectId(req.params.id),
+          userEmail: req.tokenEmail,
+        };
 
-      if (orderData.email !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Order email mismatch" });
+        try {
+          const existing = await addressesCollection.findOne(query);
+          if (!existing) {
+            return res.status(404).send({ message: "Address not found." });
+          }
+          await addressesCollection.updateMany(
+            { userEmail: req.tokenEmail, _id: { $ne: existing._id } },
+            { $set: { isDefault: false } }
+          );
+          await addressesCollection.updateOne(query, {
+            $set: { isDefault: true },
+          });
+          res.send({ acknowledged: true });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to set default address." });
+        }
       }
+    );
 
-      orderData.orderDate = new Date();
-      orderData.status = "pending";
-      orderData.payment_status = "unpaid";
+    app.delete("/users/me/addresses/:id", verifyJWT, async (req, res) => {
+      const query = {
+        _id: new ObjectId(req.params.id),
+        userEmail: req.tokenEmail,
+      };
 
-      const result = await ordersCollection.insertOne(orderData);
-      res.send(result);
+      try {
+        const existing = await addressesCollection.findOneAndDelete(query);
+        if (!existing) {
+          return res.status(404).send({ message: "Address not found." });
+        }
+
+        // Promote the newest remaining address when the default is removed
+        if (existing.isDefault) {
+          const next = await addressesCollection.findOne(
+            { userEmail: req.tokenEmail },
+            { sort: { createdAt: -1 } }
+          );
+          if (next) {
+            await addressesCollection.updateOne(
+              { _id: next._id },
+              { $set: { isDefault: true } }
+            );
+          }
+        }
+        res.send({ acknowledged: true, deletedCount: 1 });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to delete address." });
+      }
     });
 
-    //   Admin route
-    app.get("/orders", verifyJWT, verifyLibrarian, async (req, res) => {
-      const userEmail = req.tokenEmail;
-      const userRole = req.userRole; // Role attached by verifyLibrarian middleware
+    // Fields clients may write; ratings, counters and the owner are server-managed.
+    // stockQuantity is optional; books without it are not stock-tracked
+    const bookStatuses = [
+      "draft",
+      "pending_review",
+      "published",
+      "rejected",
+      "unpublished",
+    ];
+    const bookSchema = {
+      bookTitle: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 300,
+      },
+      authorName: {
+        type: "string",
+        required: true,
+        minLength: 1,
+        maxLength: 200,
+      },
+      image: { type: "string", maxLength: 2048 },
+      category: { type: "string", maxLength: 100 },
+      description: { type: "string", maxLength: 5000 },
+      isbn: { type: "string", pattern: /^[0-9Xx-]{10,17}$/ },
+      price: { type: "number", required: true, min: 0 },
+      stockQuantity: { type: "number", integer: true, min: 0 },
+      status: { type: "string", enum: bookStatuses },
+      // Borrowing terms; lending.activeLoans is maintained by the server
+      lending: {
+        type: "object",
+        fields: {
+          enabled: { type: "boolean" },
+          copies: { type: "number", integer: true, min: 0 },
+          loanPeriodDays: { type: "number", integer: true, min: 1, max: 90 },
+          maxRenewals: { type: "number", integer: true, min: 0, max: 5 },
+          deposit: { type: "number", min: 0 },
+          dailyLateFee: { type: "number", min: 0 },
+        },
+      },
+      seller_libarien: {
+        type: "object",
+        fields: {
+          name: { type: "string", maxLength: 200 },
+          email: { type: "email" },
+          image: { type: "string", maxLength: 2048 },
+        },
+      },
+    };
+    // Reassigning a book to another librarian is an admin decision; librarians
+    // change status through PATCH /books/status/:id
+    const bookUpdateSchema = {
+      ...bookSchema,
+      status: { ...bookSchema.status, roles: ["admin"] },
+      seller_libarien: { ...bookSchema.seller_libarien, roles: ["admin"] },
+    };
 
-      try {
-        if (userRole === "admin") {
-          // Admin: Fetch ALL orders.
-          const allOrders = await ordersCollection
-            .find({})
-            .sort({ orderDate: -1 })
-            .toArray();
-          return res.send(allOrders);
-        } else if (userRole === "librarian") {
-          const librarianBooks = await booksCollection
-            .find({ "seller_libarien.email": userEmail })
-            .project({ _id: 1 }) // Only need the ID
-            .toArray();
+    // publication workflow: librarians write drafts and submit them; only an admin
+    // review publishes or rejects a book
+    const librarianBookTransitions = {
+      draft: ["pending_review"],
+      pending_review: ["draft"],
+      rejected: ["pending_review", "draft"],
+      published: ["unpublished"],
+      unpublished: ["pending_review", "published"],
+    };
+    const newBookStatuses = ["draft", "pending_review"];
+    // Edits to these fields on a published book send it back for review; lowering
+    // the price only helps buyers, so only a price increase counts
+    const materialBookFields = ["bookTitle", "price", "description"];
+    const isMaterialBookEdit = (book, update) =>
+      materialBookFields.some((field) => {
+        if (!(field in update)) return false;
+        if (field === "price") {
+          return parseFloat(update.price) > parseFloat(book.price);
+        }
+        return String(update[field]) !== String(book[field]);
+      });
+    const reviewPublishedEdits =
+      process.env.REVIEW_PUBLISHED_BOOK_EDITS !== "false";
 
-          const bookIds = librarianBooks.map((book) => book._id.toHexString());
+    // An unpublished book goes live again without review only if it was approved
+    // and hasn't been materially edited since
+    const canLibrarianSetBookStatus = (book, status) =>
+      (librarianBookTransitions[book.status] || []).includes(status) &&
+      (status !== "published" || !!book.approvedAt);
 
-          if (bookIds.length === 0) {
-            return res.send([]);
-          }
+    const getNewBookStatusFields = (status = "draft") => ({
+      status,
+      ...(status === "pending_review" && { submittedForReviewAt: new Date() }),
+      // Only admins may create books as published
+      ...(status === "published" && { approvedAt: new Date() }),
+    });
 
-          const orders = await ordersCollection
-            .find({ bookId: { $in: bookIds } })
-            .sort({ orderDate: -1 })
-            .toArray();
+    const reviewHistoryEntry = (req, action, note = null) => ({
+      action,
+      actorEmail: req.tokenEmail,
+      actorRole: req.userRole,
+      note,
+      at: new Date(),
+    });
 
-          return res.send(orders);
-        } else {
-          return res
-            .status(403)
-            .send({ message: "Forbidden: Role not authorized." });
+    // Server-owned fields of every new book, whether created singly or imported
+    const getNewBookDefaults = async (librarianEmail) => {
+      const library = await librariesCollection.findOne(
+        { ownerEmail: librarianEmail },
+        { projection: { name: 1 } }
+      );
+      return {
+        librarianEmail,
+        ...(library && { library }),
+        ratingSum: 0,
+        reviewCount: 0,
+        rating: null,
+      };
+    };
+
+    app.post(
+      "/books",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ body: bookSchema }),
+      async (req, res) => {
+        if (
+          req.userRole !== "admin" &&
+          req.body.status &&
+          !newBookStatuses.includes(req.body.status)
+        ) {
+          return res.status(400).send({
+            code: "INVALID_STATUS",
+            message: `New books start as ${newBookStatuses.join(" or ")}.`,
+          });
         }
-      } catch (error) {
-        console.error("Error fetching orders:", error);
-        res.status(500).send({ message: "Failed to retrieve orders." });
+        const bookData = {
+          ...req.body,
+          ...getNewBookStatusFields(req.body.status),
+          ...(await getNewBookDefaults(req.tokenEmail)),
+        };
+        bookData.seller_libarien = {
+          ...bookData.seller_libarien,
+          email: req.tokenEmail,
+        };
+        const result = await booksCollection.insertOne(bookData);
+        res.send(result);
       }
-    });
+    );
 
-    app.get("/orders/:orderId", verifyJWT, async (req, res) => {
-      const orderId = req.params.orderId;
+    // bulk import: CSV or JSON rows validated one by one; valid, non-duplicate rows
+    // are inserted (or only reported with ?dryRun=true)
+    const maxImportRows = 1000;
+    // The seller is always the importing librarian
+    const bookImportSchema = { ...bookSchema };
+    delete bookImportSchema.seller_libarien;
+    const importBodyParsers = [
+      express.json({ limit: "5mb" }),
+      express.text({ type: ["text/csv", "application/csv"], limit: "5mb" }),
+    ];
 
-      try {
-        const query = { _id: new ObjectId(orderId) };
-        const order = await ordersCollection.findOne(query);
+    // Export-only columns are dropped instead of being rejected as unknown fields.
+    // status is one of them so a re-imported export starts over as drafts
+    const exportOnlyColumns = [
+      "_id",
+      "status",
+      "rating",
+      "reviewCount",
+      "soldCount",
+    ];
 
-        if (!order) {
-          return res.status(404).send({ message: "Order not found." });
-        }
-        if (order.email !== req.tokenEmail) {
-          console.warn(
-            `403 Attempt: User ${req.tokenEmail} tried to access order ${orderId} belonging to ${order.email}`
-          );
-          return res
-            .status(403)
-            .send({ message: "Forbidden: Order does not belong to user." });
+    const normalizeIsbn = (isbn) =>
+      typeof isbn === "string" ? isbn.replace(/-/g, "").toUpperCase() : null;
+
+    // CSV cells are always strings; empty ones mean "not provided"
+    const readImportRows = (req) => {
+      if (typeof req.body === "string") {
+        return parseCsv(req.body).map((row) =>
+          Object.fromEntries(
+            Object.entries(row)
+              .map(([key, value]) => [key, value.trim()])
+              .filter(([, value]) => value !== "")
+          )
+        );
+      }
+      if (Array.isArray(req.body)) return req.body;
+      if (Array.isArray(req.body?.books)) return req.body.books;
+      return null;
+    };
+
+    app.post(
+      "/books/import",
+      verifyJWT,
+      verifyLibrarian,
+      ...importBodyParsers,
+      validate({ query: { dryRun: { type: "boolean" } } }),
+      async (req, res) => {
+        const dryRun = req.query.dryRun === "true";
+        const rows = readImportRows(req);
+        if (!rows) {
+          return res.status(415).send({
+            code: "UNSUPPORTED_IMPORT_FORMAT",
+            message:
+              "Send text/csv, a JSON array of books or { books: [...] } as JSON.",
+          });
         }
-        res.send({
-          bookTitle: order.bookTitle,
-          price: order.price,
-          email: order.email,
-          bookId: order.bookId,
-          status: order.status,
-          payment_status: order.payment_status,
-        });
-      } catch (error) {
-        if (error.name === "BSONTypeError") {
-          return res.status(400).send({ message: "Invalid Order ID format." });
+        if (!rows.length || rows.length > maxImportRows) {
+          return res.status(400).send({
+            code: "INVALID_IMPORT_SIZE",
+            message: `An import must contain between 1 and ${maxImportRows} books.`,
+          });
         }
-        res
-          .status(500)
-          .send({ message: "Failed to fetch order details.", error });
-      }
-    });
 
-    app.get("/my-orders/:email", verifyJWT, async (req, res) => {
-      const email = req.params.email;
-      if (email !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Email does not match user" });
-      }
+        try {
+          const catalog = await booksCollection
+            .find(
+              { librarianEmail: req.tokenEmail, archivedAt: null },
+              { projection: { isbn: 1 } }
+            )
+            .toArray();
+          const isbnRows = new Map(
+            catalog
+              .filter((book) => book.isbn)
+              .map((book) => [normalizeIsbn(book.isbn), null])
+          );
 
-      const query = { email: email };
-      const result = await ordersCollection
-        .find(query)
-        .sort({ orderDate: -1 })
-        .toArray();
-      res.send(result);
-    });
+          // Rows are numbered from 1, matching the data rows of the file
+          const errors = [];
+          const books = [];
+          rows.forEach((raw, index) => {
+            const row = index + 1;
+            const input =
+              raw && typeof raw === "object" && !Array.isArray(raw)
+                ? Object.fromEntries(
+                    Object.entries(raw).filter(
+                      ([key]) => !exportOnlyColumns.includes(key)
+                    )
+                  )
+                : raw;
+            const { value, details } = validateFields(bookImportSchema, input, {
+              role: req.userRole,
+            });
+            if (details.length) {
+              errors.push(...details.map((detail) => ({ row, ...detail })));
+              return;
+            }
+            const isbn = normalizeIsbn(value.isbn);
+            if (isbn && isbnRows.has(isbn)) {
+              const firstRow = isbnRows.get(isbn);
+              errors.push({
+                row,
+                field: "isbn",
+                message: firstRow
+                  ? `duplicates row ${firstRow}`
+                  : "already exists in your catalog",
+              });
+              return;
+            }
+            if (isbn) isbnRows.set(isbn, row);
+            books.push({ ...value, ...getNewBookStatusFields() });
+          });
 
-    app.get("/my-invoices/:email", verifyJWT, async (req, res) => {
-      const userEmail = req.params.email;
-      if (userEmail !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Email does not match user" });
-      }
+          const report = {
+            dryRun,
+            total: rows.length,
+            valid: books.length,
+            imported: 0,
+            failed: new Set(errors.map((error) => error.row)).size,
+            errors,
+          };
+          if (dryRun || !books.length) return res.send(report);
 
-      try {
-        const query = { email: userEmail, payment_status: "paid" };
-        const invoices = await ordersCollection.find(query).toArray();
-        res.send(invoices);
-      } catch (error) {
-        res.status(500).send({ message: "Failed to fetch paid orders." });
+          const [defaults, user] = await Promise.all([
+            getNewBookDefaults(req.tokenEmail),
+            usersCollection.findOne(
+              { email: req.tokenEmail },
+              { projection: { name: 1, image: 1 } }
+            ),
+          ]);
+          const seller = {
+            name: user?.name || null,
+            email: req.tokenEmail,
+            image: user?.image || null,
+          };
+          const result = await booksCollection.insertMany(
+            books.map((book) => ({
+              ...book,
+              ...defaults,
+              seller_libarien: seller,
+            }))
+          );
+          report.imported = result.insertedCount;
+
+          await recordAudit(req, {
+            action: "book.import",
+            target: { type: "book", id: null, ownerEmail: req.tokenEmail },
+            metadata: {
+              total: report.total,
+              imported: report.imported,
+              failed: report.failed,
+            },
+          });
+          res.send({
+            ...report,
+            insertedIds: Object.values(result.insertedIds),
+          });
+        } catch (error) {
+          console.error("Error importing books:", error);
+          res.status(500).send({ message: "Failed to import books." });
+        }
       }
+    );
+    // catalog search: text relevance plus filters, with facet counts for the sidebar
+    const bookSortOptions = {
+      newest: { _id: -1 },
+      price_asc: { numericPrice: 1, _id: -1 },
+      price_desc: { numericPrice: -1, _id: -1 },
+      rating: { numericRating: -1, reviewCount: -1, _id: -1 },
+      popularity: { soldCount: -1, reviewCount: -1, _id: -1 },
+    };
+    const priceBandBoundaries = [0, 10, 20, 50, 100];
+
+    const toNumberExpression = (field) => ({
+      $convert: { input: field, to: "double", onError: null, onNull: null },
     });
 
-    app.patch(
-      "/orders/update-status/:id",
+    // Accepts ?category=a&category=b as well as ?categories=a,b
+    const parseListParam = (...values) =>
+      values
+        .flat()
+        .filter((value) => typeof value === "string")
+        .flatMap((value) => value.split(","))
+        .map((value) => value.trim())
+        .filter((value) => value && value !== "undefined");
+
+    const bookSearchQuerySchema = {
+      page: { type: "number", integer: true, min: 0 },
+      size: { type: "number", integer: true, min: 1, max: 100 },
+      search: { type: "string", maxLength: 200 },
+      rating: { type: "number", min: 0, max: 5 },
+      minPrice: { type: "number", min: 0 },
+      maxPrice: { type: "number", min: 0 },
+      sort: {
+        type: "string",
+        enum: ["relevance", ...Object.keys(bookSortOptions)],
+      },
+    };
+
+    app.get(
+      "/books",
+      validate({ query: bookSearchQuerySchema }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 10;
+        const search = req.query.search?.trim();
+        const categories = parseListParam(
+          req.query.category,
+          req.query.categories
+        );
+        const rating = parseFloat(req.query.rating);
+        const minPrice = parseFloat(req.query.minPrice);
+        const maxPrice = parseFloat(req.query.maxPrice);
+        const hasSearch = search && search !== "undefined";
+        const sortKey = req.query.sort || (hasSearch ? "relevance" : "newest");
+
+        if (sortKey !== "relevance" && !bookSortOptions[sortKey]) {
+          return res.status(400).send({ message: "Unknown sort option." });
+        }
+
+        const query = { status: "published", archivedAt: null };
+        if (hasSearch) {
+          query.$text = { $search: search };
+        }
+
+        // Each facet ignores its own filter so the sidebar still shows the alternatives
+        const filters = {
+          category: categories.length ? { category: { $in: categories } } : {},
+          rating: rating > 0 ? { numericRating: { $gte: rating } } : {},
+          price: {
+            ...((minPrice >= 0 || maxPrice >= 0) && {
+              numericPrice: {
+                ...(minPrice >= 0 && { $gte: minPrice }),
+                ...(maxPrice >= 0 && { $lte: maxPrice }),
+              },
+            }),
+          },
+        };
+        const filtersExcept = (name) => ({
+          $match: Object.assign(
+            {},
+            ...Object.entries(filters)
+              .filter(([key]) => key !== name)
+              .map(([, filter]) => filter)
+          ),
+        });
+
+        // Relevance only means something for a text search
+        const sort =
+          sortKey !== "relevance"
+            ? bookSortOptions[sortKey]
+            : hasSearch
+            ? { score: -1, _id: -1 }
+            : bookSortOptions.newest;
+
+        try {
+          const [{ result, count, categories: byCategory, ratings, prices }] =
+            await booksCollection
+              .aggregate([
+                { $match: query },
+                {
+                  $set: {
+                    numericPrice: toNumberExpression("$price"),
+                    numericRating: toNumberExpression("$rating"),
+                    ...(hasSearch && { score: { $meta: "textScore" } }),
+                  },
+                },
+                {
+                  $facet: {
+                    result: [
+                      filtersExcept(null),
+                      { $sort: sort },
+                      { $skip: page * size },
+                      { $limit: size },
+                      { $unset: ["numericPrice", "numericRating", "score"] },
+                    ],
+                    count: [filtersExcept(null), { $count: "total" }],
+                    categories: [
+                      filtersExcept("category"),
+                      { $group: { _id: "$category", count: { $sum: 1 } } },
+                      { $sort: { count: -1, _id: 1 } },
+                    ],
+                    ratings: [
+                      filtersExcept("rating"),
+                      {
+                        $bucket: {
+                          groupBy: "$numericRating",
+                          boundaries: [0, 1, 2, 3, 4, 5.01],
+                          default: "unrated",
+                          output: { count: { $sum: 1 } },
+                        },
+                      },
+                    ],
+                    prices: [
+                      filtersExcept("price"),
+                      // Books without a usable price belong in no band
+                      { $match: { numericPrice: { $type: "number" } } },
+                      {
+                        $bucket: {
+                          groupBy: "$numericPrice",
+                          boundaries: priceBandBoundaries,
+                          default: "other",
+                          output: { count: { $sum: 1 } },
+                        },
+                      },
+                    ],
+                  },
+                },
+              ])
+              .toArray();
+
+          const lastBand = priceBandBoundaries[priceBandBoundaries.length - 1];
+          const facets = {
+            categories: byCategory.map(({ _id, count }) => ({
+              category: _id,
+              count,
+            })),
+            ratings: ratings.map(({ _id, count }) => ({
+              rating: _id === "unrated" ? null : _id,
+              count,
+            })),
+            priceBands: prices.map(({ _id, count }) => {
+              if (_id === "other") return { min: lastBand, max: null, count };
+              const index = priceBandBoundaries.indexOf(_id);
+              return { min: _id, max: priceBandBoundaries[index + 1], count };
+            }),
+          };
+          res.send({ result, count: count[0]?.total || 0, facets });
+        } catch (error) {
+          res.status(500).send({ message: "Error fetching books", error });
+        }
+      }
+    );
+    app.get("/latest-books", async (req, res) => {
+      const limit = 6;
+      const query = { status: "published", archivedAt: null };
+      const result = await booksCollection
+        .find(query)
+        .sort({ _id: -1 })
+        .limit(limit)
+        .toArray();
+      res.send(result);
+    });
+
+    app.get("/books/all", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const allBooks = await booksCollection
+          .find({})
+          .sort({ _id: -1 })
+          .toArray();
+        res.send(allBooks);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch all books." });
+      }
+    });
+
+    app.get("/books/:id", async (req, res) => {
+      const id = req.params.id;
+      const result = await booksCollection.findOne({ _id: new ObjectId(id) });
+      if (!result) {
+        return res.status(404).send({ message: "Book not found." });
+      }
+      res.send(result);
+    });
+
+    // Column names match the import format, so an export doubles as an import template
+    const bookExportColumns = [
+      "_id",
+      "bookTitle",
+      "authorName",
+      "isbn",
+      "category",
+      "description",
+      "image",
+      "price",
+      "stockQuantity",
+      "status",
+      "rating",
+      "reviewCount",
+      "soldCount",
+    ];
+
+    // Registered before /my-books/:email so "export" isn't read as an email
+    app.get(
+      "/my-books/export",
+      verifyJWT,
+      verifyLibrarian,
+      validate({
+        query: {
+          format: { type: "string", enum: ["csv", "json"] },
+          includeArchived: { type: "boolean" },
+        },
+      }),
+      async (req, res) => {
+        const { format = "json" } = req.query;
+        const query = { librarianEmail: req.tokenEmail };
+        if (req.query.includeArchived !== "true") query.archivedAt = null;
+
+        try {
+          const books = await booksCollection
+            .find(query, {
+              projection: Object.fromEntries(
+                bookExportColumns.map((column) => [column, 1])
+              ),
+            })
+            .sort({ _id: 1 })
+            .toArray();
+
+          if (format === "json") {
+            return res.send(books);
+          }
+          res.setHeader("Content-Type", "text/csv");
+          res.setHeader(
+            "Content-Disposition",
+            'attachment; filename="books.csv"'
+          );
+          res.send(toCsv(books, bookExportColumns));
+        } catch (error) {
+          console.error("Error exporting books:", error);
+          res.status(500).send({ message: "Failed to export books." });
+        }
+      }
+    );
+
+    app.get(
+      "/my-books/:email",
+      verifyJWT,
+      verifyLibrarian,
+      async (req, res) => {
+        const userEmail = req.params.email;
+        if (userEmail !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Email does not match user" });
+        }
+
+        try {
+          const query = { librarianEmail: userEmail };
+          const myBooks = await booksCollection
+            .aggregate([
+              { $match: query },
+              { $sort: { _id: -1 } },
+              {
+                $lookup: {
+                  from: "wishlist",
+                  let: { bookId: { $toString: "$_id" } },
+                  pipeline: [
+                    { $match: { $expr: { $eq: ["$bookId", "$$bookId"] } } },
+                    { $count: "count" },
+                  ],
+                  as: "wishlisted",
+                },
+              },
+              {
+                $set: {
+                  wishlistCount: {
+                    $ifNull: [{ $first: "$wishlisted.count" }, 0],
+                  },
+                },
+              },
+              { $unset: "wishlisted" },
+            ])
+            .toArray();
+          res.send(myBooks);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch books." });
+        }
+      }
+    );
+    app.patch(
+      "/books/status/:id",
+      verifyJWT,
+      verifyLibrarian,
+      requireOwnership("book"),
+      validate({
+        body: {
+          status: { type: "string", required: true, enum: bookStatuses },
+        },
+      }),
+      async (req, res) => {
+        const id = req.params.id;
+        const { status } = req.body;
+        const book = req.resource;
+        const isAdmin = req.userRole === "admin";
+        if (!isAdmin && !canLibrarianSetBookStatus(book, status)) {
+          return res.status(409).send({
+            code: "INVALID_STATUS_TRANSITION",
+            message:
+              status === "published" && book.status === "unpublished"
+                ? "This book has changed since it was approved; submit it for review."
+                : `Cannot move a book from ${book.status} to ${status}.`,
+          });
+        }
+
+        const set = { status };
+        if (status === "pending_review") set.submittedForReviewAt = new Date();
+        if (status === "published" && isAdmin && !book.approvedAt) {
+          set.approvedAt = new Date();
+        }
+        try {
+          // Conditional on the status we checked, so concurrent changes can't both apply
+          const result = await booksCollection.updateOne(
+            { _id: new ObjectId(id), status: book.status },
+            {
+              $set: set,
+              ...(status === "pending_review" && {
+                $push: {
+                  reviewHistory: reviewHistoryEntry(req, "submitted"),
+                },
+              }),
+            }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(409).send({
+              code: "BOOK_STATUS_CONFLICT",
+              message: "The book was updated by someone else. Please retry.",
+            });
+          }
+          await recordAudit(req, {
+            action: "book.status_change",
+            target: { type: "book", id },
+            before: pickFields(book, ["status"]),
+            after: { status },
+          });
+          res.send({
+            acknowledged: true,
+            modifiedCount: result.modifiedCount,
+            status,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update book status." });
+        }
+      }
+    );
+
+    // review queue: oldest submissions first
+    app.get(
+      "/admin/books/pending",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        query: {
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+        },
+      }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 20;
+        const query = { status: "pending_review", archivedAt: null };
+        try {
+          const [result, count] = await Promise.all([
+            booksCollection
+              .find(query)
+              .sort({ submittedForReviewAt: 1, _id: 1 })
+              .skip(page * size)
+              .limit(size)
+              .toArray(),
+            booksCollection.countDocuments(query),
+          ]);
+          res.send({ result, count });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch review queue." });
+        }
+      }
+    );
+
+    const reviewBook = async (req, res, decision) => {
+      const approved = decision === "approve";
+      const feedback = req.body.feedback || req.body.reason || null;
+      const now = new Date();
+      try {
+        const book = await booksCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id), status: "pending_review" },
+          {
+            $set: approved
+              ? { status: "published", approvedAt: now, reviewFeedback: null }
+              : {
+                  status: "rejected",
+                  reviewFeedback: {
+                    reason: feedback,
+                    by: req.tokenEmail,
+                    at: now,
+                  },
+                },
+            $push: {
+              reviewHistory: reviewHistoryEntry(
+                req,
+                approved ? "approved" : "rejected",
+                feedback
+              ),
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!book) {
+          return res.status(409).send({
+            code: "BOOK_NOT_PENDING_REVIEW",
+            message:
+              "Only books waiting for review can be approved or rejected.",
+          });
+        }
+
+        await recordAudit(req, {
+          action: approved ? "book.approve" : "book.reject",
+          target: {
+            type: "book",
+            id: req.params.id,
+            ownerEmail: getBookOwnerEmail(book),
+          },
+          before: { status: "pending_review" },
+          after: { status: book.status },
+          metadata: feedback ? { feedback } : null,
+        });
+        await notify(
+          getBookOwnerEmail(book),
+          approved ? "book_approved" : "book_rejected",
+          { book, feedback }
+        );
+        // An approved edit of a published book may have lowered its price or restocked it
+        if (approved && book.lastPublished) {
+          await booksCollection.updateOne(
+            { _id: book._id },
+            { $unset: { lastPublished: "" } }
+          );
+          await notifyWishlistWatchers(
+            { _id: book._id, ...book.lastPublished },
+            book
+          ).catch((error) =>
+            console.error("Failed to send wishlist alerts:", error)
+          );
+        }
+        res.send({ acknowledged: true, status: book.status, book });
+      } catch (error) {
+        console.error("Error reviewing book:", error);
+        res.status(500).send({ message: "Failed to review book." });
+      }
+    };
+
+    app.patch(
+      "/admin/books/:id/approve",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: { feedback: { type: "string", maxLength: 2000 } } }),
+      (req, res) => reviewBook(req, res, "approve")
+    );
+    app.patch(
+      "/admin/books/:id/reject",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        body: {
+          reason: {
+            type: "string",
+            required: true,
+            minLength: 3,
+            maxLength: 2000,
+          },
+        },
+      }),
+      (req, res) => reviewBook(req, res, "reject")
+    );
+
+    // Alerts users who wishlisted a book when an edit lowers its price or restocks it
+    const notifyWishlistWatchers = async (before, after) => {
+      const oldPrice = parseFloat(before.price);
+      const newPrice = parseFloat(after.price);
+      const priceDropped = newPrice < oldPrice;
+      const restocked =
+        typeof before.stockQuantity === "number" &&
+        before.stockQuantity <= 0 &&
+        after.stockQuantity > 0;
+      if (!(priceDropped || restocked) || !isBookAvailable(after)) return;
+
+      const entries = await wishlistCollection
+        .find(
+          { bookId: before._id.toHexString() },
+          { projection: { userEmail: 1, targetPrice: 1 } }
+        )
+        .toArray();
+      if (restocked) {
+        await notifyMany(
+          "wishlist_back_in_stock",
+          entries.map((entry) => ({
+            recipientEmail: entry.userEmail,
+            data: { book: after },
+          }))
+        );
+      }
+      if (priceDropped) {
+        await notifyMany(
+          "wishlist_price_drop",
+          entries
+            .filter(
+              (entry) =>
+                typeof entry.targetPrice !== "number" ||
+                newPrice <= entry.targetPrice
+            )
+            .map((entry) => ({
+              recipientEmail: entry.userEmail,
+              data: { book: after, oldPrice },
+            }))
+        );
+      }
+    };
+
+    app.patch(
+      "/books/:id",
+      verifyJWT,
+      verifyLibrarian,
+      requireOwnership("book"),
+      validate({ body: bookUpdateSchema, partial: true }),
+      async (req, res) => {
+        const id = req.params.id;
+        const updatedBookData = req.body;
+        if (!Object.keys(updatedBookData).length) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+        // Only admins may send seller_libarien; keep the canonical owner in step with it
+        if (updatedBookData.seller_libarien) {
+          const seller = {
+            ...req.resource.seller_libarien,
+            ...updatedBookData.seller_libarien,
+          };
+          seller.email = seller.email || getBookOwnerEmail(req.resource);
+          updatedBookData.seller_libarien = seller;
+          updatedBookData.librarianEmail = seller.email;
+        }
+
+        const book = req.resource;
+        const { lending, ...bookFields } = updatedBookData;
+        if (
+          lending?.copies !== undefined &&
+          lending.copies < getLendingTerms(book).activeLoans
+        ) {
+          return res.status(409).send({
+            code: "LENDING_COPIES_IN_USE",
+            message: `${
+              getLendingTerms(book).activeLoans
+            } copies are on loan; copies cannot go below that.`,
+          });
+        }
+        // Lending terms are merged field by field so activeLoans survives
+        const lendingFields = Object.fromEntries(
+          Object.entries(lending || {}).map(([key, value]) => [
+            `lending.${key}`,
+            value,
+          ])
+        );
+        const materialEdit =
+          reviewPublishedEdits &&
+          req.userRole !== "admin" &&
+          isMaterialBookEdit(book, updatedBookData);
+        const reviewFields = {};
+        if (materialEdit && book.status === "published") {
+          // Wishlist alerts compare against what was live, once the edit is approved
+          Object.assign(reviewFields, {
+            status: "pending_review",
+            submittedForReviewAt: new Date(),
+            lastPublished: pickFields(book, ["price", "stockQuantity"]),
+          });
+        }
+        if (materialEdit && book.approvedAt) reviewFields.approvedAt = null;
+
+        try {
+          const result = await booksCollection.updateOne(
+            { _id: new ObjectId(id) },
+            {
+              $set: { ...bookFields, ...lendingFields, ...reviewFields },
+              ...(reviewFields.status && {
+                $push: {
+                  reviewHistory: reviewHistoryEntry(
+                    req,
+                    "submitted",
+                    "Published book edited"
+                  ),
+                },
+              }),
+            }
+          );
+
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "Book not found." });
+          }
+          await recordAudit(req, {
+            action: "book.update",
+            target: { type: "book", id },
+            before: pickFields(req.resource, Object.keys(updatedBookData)),
+            after: updatedBookData,
+          });
+          await notifyWishlistWatchers(req.resource, {
+            ...req.resource,
+            ...updatedBookData,
+            ...reviewFields,
+          }).catch((error) =>
+            console.error("Failed to send wishlist alerts:", error)
+          );
+          res.send({
+            acknowledged: true,
+            modifiedCount: result.modifiedCount,
+            status: reviewFields.status || book.status,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update book." });
+        }
+      }
+    );
+
+    // archiving: archived books leave the catalog, carts and wishlists but stay resolvable
+    // for orders, reviews and invoices; only the admin purge below removes a book for good
+    app.delete(
+      "/books/delete/:id",
+      verifyJWT,
+      verifyLibrarian,
+      requireOwnership("book"),
+      async (req, res) => {
+        const bookId = req.params.id;
+        if (req.resource.archivedAt) {
+          return res.status(409).send({
+            code: "BOOK_ALREADY_ARCHIVED",
+            message: "This book is already archived.",
+          });
+        }
+
+        try {
+          const archivedAt = new Date();
+          await booksCollection.updateOne(
+            { _id: req.resource._id },
+            { $set: { archivedAt, archivedBy: req.tokenEmail } }
+          );
+          const cartResult = await cartsCollection.deleteMany({ bookId });
+          await recordAudit(req, {
+            action: "book.archive",
+            target: {
+              type: "book",
+              id: bookId,
+              ownerEmail: getBookOwnerEmail(req.resource),
+            },
+            before: { archivedAt: null },
+            after: { archivedAt },
+          });
+
+          res.send({
+            acknowledged: true,
+            archived: true,
+            cartItemsRemoved: cartResult.deletedCount,
+            message: "Book archived. Existing orders are unaffected.",
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to archive book." });
+        }
+      }
+    );
+
+    app.patch(
+      "/books/:id/restore",
+      verifyJWT,
+      verifyLibrarian,
+      requireOwnership("book"),
+      async (req, res) => {
+        if (!req.resource.archivedAt) {
+          return res.status(409).send({
+            code: "BOOK_NOT_ARCHIVED",
+            message: "This book is not archived.",
+          });
+        }
+        try {
+          const result = await booksCollection.updateOne(
+            { _id: req.resource._id },
+            { $unset: { archivedAt: "", archivedBy: "" } }
+          );
+          await recordAudit(req, {
+            action: "book.restore",
+            target: {
+              type: "book",
+              id: req.params.id,
+              ownerEmail: getBookOwnerEmail(req.resource),
+            },
+            before: pickFields(req.resource, ["archivedAt"]),
+            after: { archivedAt: null },
+          });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to restore book." });
+        }
+      }
+    );
+
+    // Permanently removes an archived book. Orders are never deleted: they keep their
+    // item snapshots, and paid ones block the purge unless ?force=true
+    app.delete(
+      "/admin/books/:id",
+      verifyJWT,
+      verifyAdmin,
+      validate({ query: { force: { type: "boolean" } } }),
+      async (req, res) => {
+        const bookId = req.params.id;
+        const force = req.query.force === "true";
+
+        try {
+          const book = await booksCollection.findOne({
+            _id: new ObjectId(bookId),
+          });
+          if (!book) {
+            return res.status(404).send({ message: "Book not found." });
+          }
+          if (!book.archivedAt) {
+            return res.status(409).send({
+              code: "BOOK_NOT_ARCHIVED",
+              message: "Archive the book before purging it.",
+            });
+          }
+
+          const bookOrders = {
+            $or: [{ bookId }, { "items.bookId": bookId }],
+          };
+          const paidOrders = await ordersCollection.countDocuments({
+            ...bookOrders,
+            payment_status: { $in: invoicePaymentStatuses },
+          });
+          if (paidOrders > 0 && !force) {
+            return res.status(409).send({
+              code: "BOOK_HAS_PAID_ORDERS",
+              message: `${paidOrders} paid order(s) reference this book. Pass force=true to purge anyway.`,
+              paidOrders,
+            });
+          }
+
+          // Legacy single-book orders predate item snapshots; give them one before the book goes
+          const snapshot = await ordersCollection.updateMany(
+            { bookId, "items.0": { $exists: false } },
+            [
+              {
+                $set: {
+                  items: [
+                    {
+                      bookId,
+                      bookTitle: {
+                        $ifNull: ["$bookTitle", { $literal: book.bookTitle }],
+                      },
+                      image: { $literal: book.image || null },
+                      unitPrice: {
+                        $toDouble: { $ifNull: ["$unitPrice", "$price"] },
+                      },
+                      quantity: { $ifNull: ["$quantity", 1] },
+                      lineTotal: { $toDouble: "$price" },
+                    },
+                  ],
+                },
+              },
+            ]
+          );
+          const bookObjectId = book._id;
+          const [carts, wishlists, reviews] = await Promise.all([
+            cartsCollection.deleteMany({ bookId }),
+            wishlistCollection.deleteMany({ bookId }),
+            reviewsCollection.deleteMany({ bookId: bookObjectId }),
+          ]);
+          await booksCollection.deleteOne({ _id: bookObjectId });
+          await recordAudit(req, {
+            action: "book.purge",
+            target: {
+              type: "book",
+              id: bookId,
+              ownerEmail: getBookOwnerEmail(book),
+            },
+            before: book,
+            metadata: {
+              forced: force,
+              paidOrders,
+              ordersSnapshotted: snapshot.modifiedCount,
+              reviewsDeleted: reviews.deletedCount,
+            },
+          });
+
+          res.send({
+            acknowledged: true,
+            purged: true,
+            paidOrders,
+            ordersSnapshotted: snapshot.modifiedCount,
+            cartItemsRemoved: carts.deletedCount,
+            wishlistItemsRemoved: wishlists.deletedCount,
+            reviewsDeleted: reviews.deletedCount,
+          });
+        } catch (error) {
+          console.error("Error purging book:", error);
+          res.status(500).send({ message: "Failed to purge book." });
+        }
+      }
+    );
+
+    // library storefronts: public profile pages plus the librarian's own profile editor
+    const weekdays = ["mon", "tue", "wed", "thu", "fri", "sat", "sun"];
+    const timeOfDay = { type: "string", pattern: /^([01]\d|2[0-3]):[0-5]\d$/ };
+
+    const librarySchema = {
+      name: { type: "string", minLength: 2, maxLength: 150 },
+      logo: {
+        type: "string",
+        nullable: true,
+        maxLength: 2048,
+        pattern: /^https?:\/\//i,
+      },
+      description: { type: "string", nullable: true, maxLength: 2000 },
+      address: { type: "string", minLength: 5, maxLength: 500 },
+      city: { type: "string", nullable: true, maxLength: 100 },
+      district: { type: "string", nullable: true, maxLength: 100 },
+      contactPhone: { type: "string", pattern: /^\+?[0-9\s-]{7,20}$/ },
+      contactEmail: { type: "email" },
+      openingHours: {
+        type: "array",
+        maxItems: 7,
+        items: {
+          type: "object",
+          fields: {
+            day: { type: "string", required: true, enum: weekdays },
+            open: timeOfDay,
+            close: timeOfDay,
+            closed: { type: "boolean" },
+          },
+        },
+      },
+    };
+
+    // Owner bookkeeping stays private; contactEmail is the public address
+    const publicLibraryProjection = { applicationId: 0, ownerEmail: 0 };
+
+    // Published-book count and a review-weighted rating across the library's books
+    const libraryStatsStages = [
+      {
+        $lookup: {
+          from: "books",
+          localField: "ownerEmail",
+          foreignField: "librarianEmail",
+          pipeline: [
+            { $match: { status: "published", archivedAt: null } },
+            {
+              $group: {
+                _id: null,
+                bookCount: { $sum: 1 },
+                reviewCount: { $sum: { $ifNull: ["$reviewCount", 0] } },
+                ratingTotal: { $sum: { $ifNull: ["$ratingSum", 0] } },
+              },
+            },
+          ],
+          as: "stats",
+        },
+      },
+      { $set: { stats: { $first: "$stats" } } },
+      {
+        $set: {
+          bookCount: { $ifNull: ["$stats.bookCount", 0] },
+          reviewCount: { $ifNull: ["$stats.reviewCount", 0] },
+          rating: {
+            $cond: [
+              { $gt: ["$stats.reviewCount", 0] },
+              {
+                $round: [
+                  { $divide: ["$stats.ratingTotal", "$stats.reviewCount"] },
+                  1,
+                ],
+              },
+              null,
+            ],
+          },
+        },
+      },
+      { $unset: "stats" },
+    ];
+
+    const librarySortOptions = {
+      name: { name: 1, _id: 1 },
+      newest: { createdAt: -1, _id: -1 },
+      rating: { rating: -1, reviewCount: -1, _id: 1 },
+      books: { bookCount: -1, _id: 1 },
+    };
+
+    app.get(
+      "/libraries",
+      validate({
+        query: {
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+          search: { type: "string", maxLength: 200 },
+          city: { type: "string", maxLength: 100 },
+          sort: { type: "string", enum: Object.keys(librarySortOptions) },
+        },
+      }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 20;
+        const query = {};
+        if (req.query.search?.trim()) {
+          query.name = {
+            $regex: escapeRegex(req.query.search.trim()),
+            $options: "i",
+          };
+        }
+        if (req.query.city) {
+          query.city = {
+            $regex: `^${escapeRegex(req.query.city.trim())}$`,
+            $options: "i",
+          };
+        }
+
+        try {
+          const [{ result, count }] = await librariesCollection
+            .aggregate([
+              { $match: query },
+              ...libraryStatsStages,
+              {
+                $facet: {
+                  result: [
+                    { $sort: librarySortOptions[req.query.sort || "name"] },
+                    { $skip: page * size },
+                    { $limit: size },
+                    { $project: publicLibraryProjection },
+                  ],
+                  count: [{ $count: "total" }],
+                },
+              },
+            ])
+            .toArray();
+          res.send({ result, count: count[0]?.total || 0 });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch libraries." });
+        }
+      }
+    );
+
+    app.get("/libraries/me", verifyJWT, verifyLibrarian, async (req, res) => {
+      try {
+        const [library] = await librariesCollection
+          .aggregate([
+            { $match: { ownerEmail: req.tokenEmail } },
+            ...libraryStatsStages,
+          ])
+          .toArray();
+        if (!library) {
+          return res.status(404).send({
+            code: "LIBRARY_NOT_FOUND",
+            message: "You have no library profile yet.",
+          });
+        }
+        res.send(library);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch library." });
+      }
+    });
+
+    // Librarians promoted before applications existed create their profile here
+    app.patch(
+      "/libraries/me",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ body: librarySchema, partial: true }),
+      async (req, res) => {
+        const updates = req.body;
+        if (!Object.keys(updates).length) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+
+        try {
+          const before = await librariesCollection.findOne({
+            ownerEmail: req.tokenEmail,
+          });
+          if (!before && (!updates.name || !updates.address)) {
+            return res.status(400).send({
+              code: "VALIDATION_FAILED",
+              message: "A new library profile needs a name and an address.",
+            });
+          }
+
+          const now = new Date();
+          const library = await librariesCollection.findOneAndUpdate(
+            { ownerEmail: req.tokenEmail },
+            {
+              $set: { ...updates, updatedAt: now },
+              $setOnInsert: {
+                ownerEmail: req.tokenEmail,
+                ...(!updates.contactEmail && { contactEmail: req.tokenEmail }),
+                createdAt: now,
+              },
+            },
+            { upsert: true, returnDocument: "after" }
+          );
+          if (!before || before.name !== library.name) {
+            await attachLibraryToBooks(library);
+          }
+
+          await recordAudit(req, {
+            action: before ? "library.update" : "library.create",
+            target: { type: "library", id: library._id.toString() },
+            before: before && pickFields(before, Object.keys(updates)),
+            after: updates,
+          });
+          res.send(library);
+        } catch (error) {
+          console.error("Error updating library profile:", error);
+          res.status(500).send({ message: "Failed to update library." });
+        }
+      }
+    );
+
+    app.get(
+      "/libraries/:id",
+      validate({
+        query: {
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+          sort: { type: "string", enum: Object.keys(bookSortOptions) },
+        },
+      }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 12;
+
+        try {
+          const [library] = await librariesCollection
+            .aggregate([
+              { $match: { _id: new ObjectId(req.params.id) } },
+              ...libraryStatsStages,
+            ])
+            .toArray();
+          if (!library) {
+            return res.status(404).send({ message: "Library not found." });
+          }
+
+          const query = {
+            librarianEmail: library.ownerEmail,
+            status: "published",
+            archivedAt: null,
+          };
+          const books = await booksCollection
+            .aggregate([
+              { $match: query },
+              {
+                $set: {
+                  numericPrice: toNumberExpression("$price"),
+                  numericRating: toNumberExpression("$rating"),
+                },
+              },
+              { $sort: bookSortOptions[req.query.sort || "newest"] },
+              { $skip: page * size },
+              { $limit: size },
+              { $unset: ["numericPrice", "numericRating"] },
+            ])
+            .toArray();
+
+          const { ownerEmail, applicationId, ...profile } = library;
+          res.send({
+            ...profile,
+            books: { result: books, count: library.bookCount },
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch library." });
+        }
+      }
+    );
+
+    const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+    const httpError = (status, code, message) =>
+      new ApiError(status, code, message);
+
+    // shipping fees: flat rate or per-district zones, optionally free above a threshold
+    const defaultShippingSettings = {
+      mode: "flat",
+      flatRate: 0,
+      freeShippingThreshold: null,
+    };
+
+    const getShippingSettings = async () => {
+      const settings = await settingsCollection.findOne({ _id: "shipping" });
+      return { ...defaultShippingSettings, ...settings };
+    };
+
+    const calculateShippingFee = async (subtotal, address) => {
+      const settings = await getShippingSettings();
+      const threshold = settings.freeShippingThreshold;
+      if (threshold !== null && subtotal >= threshold) {
+        return { fee: 0, rule: "free_threshold", zone: null };
+      }
+
+      if (settings.mode === "zone" && address?.district) {
+        const zone = await shippingZonesCollection.findOne({
+          districts: address.district.trim().toLowerCase(),
+        });
+        if (zone) {
+          const zoneFree =
+            zone.freeShippingThreshold != null &&
+            subtotal >= zone.freeShippingThreshold;
+          return {
+            fee: zoneFree ? 0 : zone.rate,
+            rule: zoneFree ? "free_threshold" : "zone",
+            zone: zone.name,
+          };
+        }
+      }
+      return { fee: settings.flatRate, rule: "flat", zone: null };
+    };
+
+    const parseMoney = (value) => {
+      const amount = Number(value);
+      return Number.isFinite(amount) && amount >= 0 ? roundMoney(amount) : null;
+    };
+
+    // Accepts either a saved address id or an address object from the request
+    const resolveShippingAddress = async (
+      email,
+      { addressId, shippingAddress }
+    ) => {
+      if (addressId) {
+        if (!ObjectId.isValid(addressId)) {
+          return { errors: ["addressId is not valid."] };
+        }
+        const saved = await addressesCollection.findOne({
+          _id: new ObjectId(addressId),
+          userEmail: email,
+        });
+        if (!saved) return { errors: ["Saved address not found."] };
+        return validateAddress(saved);
+      }
+      return validateAddress(shippingAddress);
+    };
+
+    app.get(
+      "/shipping/quote",
+      validate({
+        query: {
+          subtotal: { type: "number", required: true, min: 0 },
+          district: { type: "string", maxLength: 100 },
+        },
+      }),
+      async (req, res) => {
+        const subtotal = parseMoney(req.query.subtotal);
+        if (subtotal === null) {
+          return res
+            .status(400)
+            .send({ message: "A valid subtotal is required." });
+        }
+        try {
+          const shipping = await calculateShippingFee(subtotal, {
+            district: req.query.district,
+          });
+          res.send(shipping);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to calculate shipping." });
+        }
+      }
+    );
+
+    app.get("/admin/shipping", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const settings = await getShippingSettings();
+        const zones = await shippingZonesCollection
+          .find()
+          .sort({ name: 1 })
+          .toArray();
+        res.send({ settings, zones });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch shipping settings." });
+      }
+    });
+
+    const shippingSettingsSchema = {
+      mode: { type: "string", required: true, enum: ["flat", "zone"] },
+      flatRate: { type: "number", required: true, min: 0 },
+      freeShippingThreshold: { type: "number", min: 0, nullable: true },
+    };
+    app.put(
+      "/admin/shipping/settings",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: shippingSettingsSchema }),
+      async (req, res) => {
+        const { mode, flatRate, freeShippingThreshold } = req.body;
+        const settings = {
+          mode,
+          flatRate: parseMoney(flatRate),
+          freeShippingThreshold:
+            freeShippingThreshold === null ||
+            freeShippingThreshold === undefined
+              ? null
+              : parseMoney(freeShippingThreshold),
+        };
+        if (
+          !["flat", "zone"].includes(mode) ||
+          settings.flatRate === null ||
+          (freeShippingThreshold != null &&
+            settings.freeShippingThreshold === null)
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Invalid shipping settings." });
+        }
+
+        try {
+          const previous = await getShippingSettings();
+          await settingsCollection.updateOne(
+            { _id: "shipping" },
+            {
+              $set: {
+                ...settings,
+                updatedBy: req.tokenEmail,
+                updatedAt: new Date(),
+              },
+            },
+            { upsert: true }
+          );
+          await recordAudit(req, {
+            action: "shipping.settings_update",
+            target: { type: "settings", id: "shipping" },
+            before: pickFields(previous, Object.keys(settings)),
+            after: settings,
+          });
+          res.send({ acknowledged: true, settings });
+        } catch (error) {
+          res
+            .status(500)
+            .send({ message: "Failed to save shipping settings." });
+        }
+      }
+    );
+
+    const shippingZoneSchema = {
+      name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+      districts: {
+        type: "array",
+        required: true,
+        maxItems: 200,
+        items: { type: "string", maxLength: 100 },
+      },
+      rate: { type: "number", required: true, min: 0 },
+      freeShippingThreshold: { type: "number", min: 0, nullable: true },
+    };
+
+    const parseShippingZone = (body) => {
+      const rate = parseMoney(body.rate);
+      const districts = Array.isArray(body.districts)
+        ? body.districts
+            .filter((district) => typeof district === "string")
+            .map((district) => district.trim().toLowerCase())
+            .filter(Boolean)
+        : [];
+      const freeShippingThreshold =
+        body.freeShippingThreshold == null
+          ? null
+          : parseMoney(body.freeShippingThreshold);
+
+      if (
+        !body.name ||
+        rate === null ||
+        !districts.length ||
+        (body.freeShippingThreshold != null && freeShippingThreshold === null)
+      ) {
+        return null;
+      }
+      return { name: body.name, districts, rate, freeShippingThreshold };
+    };
+
+    app.post(
+      "/admin/shipping/zones",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: shippingZoneSchema }),
+      async (req, res) => {
+        const zone = parseShippingZone(req.body);
+        if (!zone) {
+          return res.status(400).send({
+            message: "A zone needs a name, a rate and at least one district.",
+          });
+        }
+        try {
+          const result = await shippingZonesCollection.insertOne({
+            ...zone,
+            createdAt: new Date(),
+          });
+          await recordAudit(req, {
+            action: "shipping.zone_create",
+            target: {
+              type: "shippingZone",
+              id: result.insertedId.toHexString(),
+            },
+            after: zone,
+          });
+          res.send(result);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to create shipping zone." });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/shipping/zones/:id",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: shippingZoneSchema, partial: true }),
+      async (req, res) => {
+        try {
+          const query = { _id: new ObjectId(req.params.id) };
+          const existing = await shippingZonesCollection.findOne(query);
+          if (!existing) {
+            return res
+              .status(404)
+              .send({ message: "Shipping zone not found." });
+          }
+          const zone = parseShippingZone({ ...existing, ...req.body });
+          if (!zone) {
+            return res.status(400).send({ message: "Invalid shipping zone." });
+          }
+          const result = await shippingZonesCollection.updateOne(query, {
+            $set: { ...zone, updatedAt: new Date() },
+          });
+          await recordAudit(req, {
+            action: "shipping.zone_update",
+            target: { type: "shippingZone", id: req.params.id },
+            before: pickFields(existing, Object.keys(zone)),
+            after: zone,
+          });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update shipping zone." });
+        }
+      }
+    );
+
+    app.delete(
+      "/admin/shipping/zones/:id",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          const zone = await shippingZonesCollection.findOneAndDelete({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!zone) {
+            return res
+              .status(404)
+              .send({ message: "Shipping zone not found." });
+          }
+          await recordAudit(req, {
+            action: "shipping.zone_delete",
+            target: { type: "shippingZone", id: req.params.id },
+            before: zone,
+          });
+          res.send({ acknowledged: true, deletedCount: 1 });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to delete shipping zone." });
+        }
+      }
+    );
+
+    // pricing and inventory are always resolved from booksCollection, never from the client
+    const priceOrder = async (
+      bookId,
+      quantityInput,
+      { checkStock = true } = {}
+    ) => {
+      const quantity = Number(quantityInput ?? 1);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        return {
+          error: {
+            status: 400,
+            code: "INVALID_QUANTITY",
+            message: "Quantity must be a positive integer.",
+          },
+        };
+      }
+      if (!bookId || !ObjectId.isValid(bookId)) {
+        return {
+          error: {
+            status: 400,
+            code: "INVALID_BOOK_ID",
+            message: "A valid bookId is required.",
+          },
+        };
+      }
+
+      const book = await booksCollection.findOne({ _id: new ObjectId(bookId) });
+      if (!book) {
+        return {
+          error: {
+            status: 404,
+            code: "BOOK_NOT_FOUND",
+            message: "Book not found.",
+          },
+        };
+      }
+      if (book.status !== "published" || book.archivedAt) {
+        return {
+          error: {
+            status: 409,
+            code: "BOOK_UNAVAILABLE",
+            message: "This book is not available for purchase.",
+          },
+        };
+      }
+
+      const unitPrice = parseFloat(book.price);
+      if (!Number.isFinite(unitPrice) || unitPrice <= 0) {
+        return {
+          error: {
+            status: 409,
+            code: "BOOK_PRICE_UNAVAILABLE",
+            message: "This book has no valid price.",
+          },
+        };
+      }
+      if (
+        checkStock &&
+        typeof book.stockQuantity === "number" &&
+        book.stockQuantity < quantity
+      ) {
+        return {
+          error: {
+            status: 409,
+            code: "OUT_OF_STOCK",
+            message: `Only ${book.stockQuantity} copies of this book are in stock.`,
+          },
+        };
+      }
+
+      return {
+        book,
+        unitPrice,
+        quantity,
+        price: Math.round(unitPrice * quantity * 100) / 100,
+      };
+    };
+
+    // Orders carry an items array; single-book orders placed before carts only have top-level fields
+    const getOrderItems = (order) =>
+      order.items?.length
+        ? order.items
+        : [
+            {
+              bookId: order.bookId,
+              bookTitle: order.bookTitle,
+              unitPrice: parseFloat(order.unitPrice ?? order.price) || 0,
+              quantity: order.quantity || 1,
+            },
+          ];
+
+    const priceOrderItems = async (requestedItems, options) => {
+      const items = [];
+      for (const requested of requestedItems) {
+        const pricing = await priceOrder(
+          requested.bookId,
+          requested.quantity,
+          options
+        );
+        if (pricing.error) {
+          return { error: { ...pricing.error, bookId: requested.bookId } };
+        }
+        items.push({
+          book: pricing.book,
+          bookId: pricing.book._id.toHexString(),
+          bookTitle: pricing.book.bookTitle,
+          unitPrice: pricing.unitPrice,
+          quantity: pricing.quantity,
+          lineTotal: pricing.price,
+          // Snapshot for order history; later edits or a purge never change it
+          image: pricing.book.image || null,
+          librarianEmail: getBookOwnerEmail(pricing.book),
+        });
+      }
+      const subtotal = roundMoney(
+        items.reduce((sum, item) => sum + item.lineTotal, 0)
+      );
+      return { items, subtotal };
+    };
+
+    // Strips the loaded book documents before items are stored on an order
+    const toOrderItems = (pricedItems) =>
+      pricedItems.map(({ book, ...item }) => item);
+
+    // Decrements in one conditional update so two buyers can't both take the last copy
+    const reserveStock = async (book, quantity) => {
+      if (typeof book.stockQuantity !== "number") return false;
+      const result = await booksCollection.updateOne(
+        { _id: book._id, stockQuantity: { $gte: quantity } },
+        { $inc: { stockQuantity: -quantity } }
+      );
+      if (result.modifiedCount === 0) {
+        throw httpError(
+          409,
+          "OUT_OF_STOCK",
+          `"${book.bookTitle}" is out of stock.`
+        );
+      }
+      return true;
+    };
+
+    const restoreStock = async (reservedItems) => {
+      for (const item of reservedItems) {
+        await booksCollection.updateOne(
+          { _id: new ObjectId(item.bookId) },
+          { $inc: { stockQuantity: item.quantity } }
+        );
+      }
+    };
+
+    // All-or-nothing: a failure part way through gives back what was already taken
+    const reserveOrderStock = async (pricedItems) => {
+      const reserved = [];
+      try {
+        for (const item of pricedItems) {
+          if (await reserveStock(item.book, item.quantity)) {
+            reserved.push({ bookId: item.bookId, quantity: item.quantity });
+          }
+        }
+      } catch (error) {
+        await restoreStock(reserved);
+        throw error;
+      }
+      return reserved;
+    };
+
+    // Flipping stockReserved first makes the restore happen at most once per order
+    const releaseStock = async (order) => {
+      if (order.orderType === "loan") return releaseLoanCopy(order);
+      const result = await ordersCollection.updateOne(
+        { _id: order._id, stockReserved: true },
+        { $set: { stockReserved: false } }
+      );
+      if (result.modifiedCount === 0) return;
+      await restoreStock(
+        order.reservedItems || [
+          { bookId: order.bookId, quantity: order.quantity || 1 },
+        ]
+      );
+    };
+
+    // Takes a paid order back out of the catalog's popularity counts, once, when it
+    // is cancelled or fully refunded
+    const revertSoldCount = async (order) => {
+      if (order.orderType === "loan") return;
+      const result = await ordersCollection.updateOne(
+        { _id: order._id, soldCountReverted: { $ne: true } },
+        { $set: { soldCountReverted: true } }
+      );
+      if (result.modifiedCount === 0) return;
+      await booksCollection.bulkWrite(
+        getOrderItems(order).map((item) => ({
+          updateOne: {
+            filter: {
+              _id: new ObjectId(item.bookId),
+              soldCount: { $gte: item.quantity },
+            },
+            update: { $inc: { soldCount: -item.quantity } },
+          },
+        }))
+      );
+    };
+
+    // order lifecycle: pending → processing → shipped → out_for_delivery → delivered,
+    // branching to cancelled before shipping or returned after it
+    const orderStatusTransitions = {
+      pending: ["processing", "cancelled"],
+      processing: ["shipped", "cancelled"],
+      shipped: ["out_for_delivery", "returned"],
+      out_for_delivery: ["delivered", "returned"],
+      delivered: ["returned"],
+      cancelled: [],
+      returned: [],
+    };
+
+    // Staff may only start fulfilling an order once it is paid
+    const fulfilmentStatuses = ["processing", "shipped"];
+
+    const canTransitionOrder = (from, to) =>
+      (orderStatusTransitions[from] || []).includes(to);
+
+    // Conditional on the current status so concurrent updates can't both apply
+    const transitionOrderStatus = async (
+      order,
+      newStatus,
+      {
+        actor,
+        role,
+        note,
+        force = false,
+        silent = false,
+        set = {},
+        expectStatus = order.status,
+      }
+    ) => {
+      if (!force && !canTransitionOrder(order.status, newStatus)) {
+        return {
+          error: {
+            status: 409,
+            code: "INVALID_STATUS_TRANSITION",
+            message: `Cannot move an order from ${order.status} to ${newStatus}.`,
+          },
+        };
+      }
+
+      const entry = {
+        from: order.status || null,
+        status: newStatus,
+        actorEmail: actor,
+        actorRole: role,
+        note: note || null,
+        at: new Date(),
+      };
+      // A loan's clock starts when the book reaches the borrower
+      const loanFields =
+        order.orderType === "loan" && newStatus === "delivered"
+          ? getLoanStartFields(order, entry.at)
+          : {};
+      const result = await ordersCollection.updateOne(
+        { _id: order._id, status: expectStatus },
+        {
+          $set: { status: newStatus, ...loanFields, ...set },
+          $push: { statusHistory: entry },
+        }
+      );
+      if (result.matchedCount === 0) {
+        return {
+          error: {
+            status: 409,
+            code: "ORDER_STATUS_CONFLICT",
+            message: "The order was updated by someone else. Please retry.",
+          },
+        };
+      }
+      if (!silent) await notifyOrderStatus(order, entry);
+      return { result, entry };
+    };
+
+    const cancelledByLabels = {
+      user: "the customer",
+      librarian: "the library",
+      admin: "an administrator",
+      courier: "the courier",
+    };
+
+    // Tells the customer about every change they didn't make themselves; the
+    // library only hears about cancellations
+    const notifyOrderStatus = async (order, entry) => {
+      const notifyCustomer = entry.actorEmail !== order.email;
+      if (entry.status !== "cancelled") {
+        if (notifyCustomer) {
+          await notify(order.email, "order_status_changed", {
+            order,
+            status: entry.status,
+          });
+        }
+        return;
+      }
+      const data = {
+        order,
+        cancelledBy: cancelledByLabels[entry.actorRole] || "the system",
+        note: entry.note,
+      };
+      if (notifyCustomer) await notify(order.email, "order_cancelled", data);
+      const librarianEmail = await getOrderOwnerEmail(order);
+      if (librarianEmail !== entry.actorEmail) {
+        await notify(librarianEmail, "order_cancelled", data);
+      }
+    };
+
+    const librarianOwnsOrder = async (order, email) => {
+      if (order.librarianEmail) return order.librarianEmail === email;
+      const bookIds = getOrderItems(order).map(
+        (item) => new ObjectId(item.bookId)
+      );
+      const book = await booksCollection.findOne(
+        { _id: { $in: bookIds }, librarianEmail: email },
+        { projection: { _id: 1 } }
+      );
+      return !!book;
+    };
+
+    // Legacy orders carry no librarianEmail, so fall back to the ordered book's owner
+    const getOrderOwnerEmail = async (order) => {
+      if (order.librarianEmail) return order.librarianEmail;
+      const [item] = getOrderItems(order);
+      const book = await booksCollection.findOne(
+        { _id: new ObjectId(item.bookId) },
+        { projection: { librarianEmail: 1, seller_libarien: 1 } }
+      );
+      return book ? getBookOwnerEmail(book) : null;
+    };
+
+    const authorizeOrderAccess = async (req, order) =>
+      authorizeOwnership(req, await getOrderOwnerEmail(order));
+
+    const buildOrder = ({
+      email,
+      pricing,
+      address,
+      shipping,
+      checkoutId = null,
+      extra = {},
+    }) => {
+      const items = toOrderItems(pricing.items);
+      const now = new Date();
+      const [firstItem] = items;
+      return {
+        ...extra,
+        email,
+        items,
+        // Top-level book fields stay for single-book orders and older clients
+        bookId: items.length === 1 ? firstItem.bookId : null,
+        bookTitle:
+          items.length === 1
+            ? firstItem.bookTitle
+            : `${firstItem.bookTitle} + ${items.length - 1} more`,
+        unitPrice: items.length === 1 ? firstItem.unitPrice : null,
+        quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        price: pricing.subtotal,
+        librarianEmail: firstItem.librarianEmail,
+        checkoutId,
+        shippingAddress: address,
+        shippingFee: shipping.fee,
+        shippingRule: { rule: shipping.rule, zone: shipping.zone },
+        totalAmount: roundMoney(pricing.subtotal + shipping.fee),
+        orderDate: now,
+        status: "pending",
+        payment_status: "unpaid",
+        stockReserved: false,
+        statusHistory: [
+          {
+            from: null,
+            status: "pending",
+            actorEmail: email,
+            actorRole: "user",
+            note: "Order placed",
+            at: now,
+          },
+        ],
+      };
+    };
+
+    // Everything else on an order (prices, totals, statuses, payment data) is server-owned
+    const orderSchema = {
+      email: { type: "email", required: true },
+      bookId: { type: "objectId", required: true },
+      quantity: { type: "number", integer: true, min: 1 },
+      addressId: { type: "objectId" },
+      shippingAddress: { type: "object", fields: addressSchema },
+      name: { type: "string", maxLength: 200 },
+      phone: { type: "string", maxLength: 30 },
+      note: { type: "string", maxLength: 1000 },
+    };
+
+    app.post(
+      "/orders",
+      verifyJWT,
+      validate({ body: orderSchema }),
+      async (req, res) => {
+        const { bookId, quantity, addressId, shippingAddress, ...orderData } =
+          req.body;
+
+        if (orderData.email !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Order email mismatch" });
+        }
+
+        try {
+          const pricing = await priceOrderItems([{ bookId, quantity }]);
+          if (pricing.error) {
+            return res.status(pricing.error.status).send({
+              code: pricing.error.code,
+              message: pricing.error.message,
+            });
+          }
+
+          const { address, errors } = await resolveShippingAddress(
+            req.tokenEmail,
+            { addressId, shippingAddress }
+          );
+          if (errors.length) {
+            return res.status(400).send({
+              code: "INVALID_ADDRESS",
+              message: "Invalid shipping address.",
+              details: errors,
+            });
+          }
+          const shipping = await calculateShippingFee(
+            pricing.subtotal,
+            address
+          );
+
+          const order = buildOrder({
+            email: req.tokenEmail,
+            pricing,
+            address,
+            shipping,
+            extra: orderData,
+          });
+
+          const result = await ordersCollection.insertOne(order);
+          await notify(req.tokenEmail, "order_created", {
+            order: { ...order, _id: result.insertedId },
+          });
+          res.send(result);
+        } catch (error) {
+          console.error("Error creating order:", error);
+          res.status(500).send({ message: "Failed to create order." });
+        }
+      }
+    );
+
+    //   Admin route
+    app.get("/orders", verifyJWT, verifyLibrarian, async (req, res) => {
+      const userEmail = req.tokenEmail;
+      const userRole = req.userRole; // Role attached by verifyLibrarian middleware
+
+      try {
+        if (userRole === "admin") {
+          // Admin: Fetch ALL orders.
+          const allOrders = await ordersCollection
+            .find({})
+            .sort({ orderDate: -1 })
+            .toArray();
+          return res.send(allOrders);
+        } else if (userRole === "librarian") {
+          const librarianBooks = await booksCollection
+            .find({ librarianEmail: userEmail })
+            .project({ _id: 1 }) // Only need the ID
+            .toArray();
+
+          const bookIds = librarianBooks.map((book) => book._id.toHexString());
+
+          const orders = await ordersCollection
+            .find({
+              $or: [
+                { librarianEmail: userEmail },
+                { bookId: { $in: bookIds } },
+                { "items.bookId": { $in: bookIds } },
+              ],
+            })
+            .sort({ orderDate: -1 })
+            .toArray();
+
+          return res.send(orders);
+        } else {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Role not authorized." });
+        }
+      } catch (error) {
+        console.error("Error fetching orders:", error);
+        res.status(500).send({ message: "Failed to retrieve orders." });
+      }
+    });
+
+    app.get("/orders/:orderId", verifyJWT, async (req, res) => {
+      const orderId = req.params.orderId;
+
+      try {
+        const query = { _id: new ObjectId(orderId) };
+        const order = await ordersCollection.findOne(query);
+
+        if (!order) {
+          return res.status(404).send({ message: "Order not found." });
+        }
+        if (order.email !== req.tokenEmail) {
+          console.warn(
+            `403 Attempt: User ${req.tokenEmail} tried to access order ${orderId} belonging to ${order.email}`
+          );
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Order does not belong to user." });
+        }
+        res.send({
+          bookTitle: order.bookTitle,
+          items: getOrderItems(order),
+          checkoutId: order.checkoutId || null,
+          price: order.price,
+          quantity: order.quantity,
+          shippingFee: order.shippingFee || 0,
+          totalAmount: getOrderTotal(order),
+          shippingAddress: order.shippingAddress || null,
+          email: order.email,
+          bookId: order.bookId,
+          status: order.status,
+          payment_status: order.payment_status,
+        });
+      } catch (error) {
+        if (error.name === "BSONTypeError") {
+          return res.status(400).send({ message: "Invalid Order ID format." });
+        }
+        res
+          .status(500)
+          .send({ message: "Failed to fetch order details.", error });
+      }
+    });
+
+    app.get("/my-orders/:email", verifyJWT, async (req, res) => {
+      const email = req.params.email;
+      if (email !== req.tokenEmail) {
+        return res
+          .status(403)
+          .send({ message: "Forbidden: Email does not match user" });
+      }
+
+      const query = { email: email };
+      const result = await ordersCollection
+        .find(query)
+        .sort({ orderDate: -1 })
+        .toArray();
+      res.send(
+        result.map((order) => ({ ...order, items: getOrderItems(order) }))
+      );
+    });
+
+    // invoices: numbered once per order at payment time, sequential per calendar year
+    const invoicePaymentStatuses = ["paid", "partially_refunded", "refunded"];
+    const invoiceTaxRate = parseFloat(process.env.INVOICE_TAX_RATE) || 0;
+
+    const formatInvoiceNumber = (year, seq) =>
+      `INV-${year}-${String(seq).padStart(6, "0")}`;
+
+    // The order is claimed before the counter moves, so losing a race never burns
+    // a number. Another request's claim is waited for, or taken over once stale
+    const invoiceClaimTtlMs = 30 * 1000;
+    const assignInvoiceNumber = async (order) => {
+      if (order.invoiceNumber) return order.invoiceNumber;
+
+      for (let attempt = 0; attempt < 20; attempt += 1) {
+        const claimedAt = new Date();
+        const claim = await ordersCollection.updateOne(
+          {
+            _id: order._id,
+            invoiceNumber: { $exists: false },
+            $or: [
+              { invoiceClaimedAt: { $exists: false } },
+              {
+                invoiceClaimedAt: {
+                  $lt: new Date(claimedAt.getTime() - invoiceClaimTtlMs),
+                },
+              },
+            ],
+          },
+          { $set: { invoiceClaimedAt: claimedAt } }
+        );
+        if (claim.modifiedCount === 1) {
+          const year = new Date(order.paidAt || Date.now()).getUTCFullYear();
+          const counter = await countersCollection.findOneAndUpdate(
+            { _id: `invoice-${year}` },
+            { $inc: { seq: 1 } },
+            { upsert: true, returnDocument: "after" }
+          );
+          const invoiceNumber = formatInvoiceNumber(year, counter.seq);
+          const result = await ordersCollection.updateOne(
+            { _id: order._id, invoiceClaimedAt: claimedAt },
+            {
+              $set: { invoiceNumber, invoicedAt: new Date() },
+              $unset: { invoiceClaimedAt: "" },
+            }
+          );
+          if (result.modifiedCount === 1) return invoiceNumber;
+        }
+
+        const current = await ordersCollection.findOne(
+          { _id: order._id },
+          { projection: { invoiceNumber: 1 } }
+        );
+        if (!current || current.invoiceNumber) return current?.invoiceNumber;
+        await new Promise((resolve) => setTimeout(resolve, 250));
+      }
+      throw new Error(`Timed out numbering the invoice of order ${order._id}.`);
+    };
+
+    const buildInvoice = async (order) => {
+      const items = getOrderItems(order).map((item) => ({
+        ...item,
+        lineTotal: item.lineTotal ?? roundMoney(item.unitPrice * item.quantity),
+      }));
+      const book = await booksCollection.findOne(
+        { _id: new ObjectId(items[0].bookId) },
+        { projection: { seller_libarien: 1, librarianEmail: 1 } }
+      );
+      const total = getOrderTotal(order);
+
+      return {
+        invoiceNumber: await assignInvoiceNumber(order),
+        issuedAt: order.paidAt || order.orderDate,
+        orderId: order._id.toHexString(),
+        customer: { email: order.email, address: order.shippingAddress },
+        seller: {
+          name: book?.seller_libarien?.name || null,
+          email: order.librarianEmail || (book && getBookOwnerEmail(book)),
+        },
+        items,
+        subtotal: roundMoney(parseFloat(order.price) || 0),
+        shippingFee: order.shippingFee || 0,
+        discount: order.discount || null,
+        taxRate: invoiceTaxRate,
+        // Book prices are tax-inclusive, so tax is the share already inside the total
+        taxAmount: roundMoney(total - total / (1 + invoiceTaxRate / 100)),
+        total,
+        refundedAmount: order.refundedAmount || 0,
+        paymentReference: order.stripePaymentIntentId || order.stripeSessionId,
+        currency: "usd",
+      };
+    };
+
+    app.get("/invoices/:orderId.pdf", verifyJWT, async (req, res) => {
+      try {
+        const order = await ordersCollection.findOne({
+          _id: new ObjectId(req.params.orderId),
+        });
+        if (!order) {
+          return res.status(404).send({ message: "Order not found." });
+        }
+        if (order.email !== req.tokenEmail) {
+          const requester = await getUserRole(req.tokenEmail);
+          const allowed =
+            requester?.role === "admin" ||
+            (requester?.role === "librarian" &&
+              (await librarianOwnsOrder(order, req.tokenEmail)));
+          if (!allowed) {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+        }
+        if (!invoicePaymentStatuses.includes(order.payment_status)) {
+          return res.status(409).send({
+            code: "ORDER_NOT_PAID",
+            message: "Invoices are only available for paid orders.",
+          });
+        }
+
+        const invoice = await buildInvoice(order);
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader(
+          "Content-Disposition",
+          `inline; filename="${invoice.invoiceNumber}.pdf"`
+        );
+        const doc = renderInvoicePdf(invoice);
+        doc.pipe(res);
+        doc.end();
+      } catch (error) {
+        console.error("Error rendering invoice:", error);
+        res.status(500).send({ message: "Failed to generate invoice." });
+      }
+    });
+
+    // Registered before /my-invoices/:email so "export" is not read as an email
+    app.get(
+      "/my-invoices/export",
+      verifyJWT,
+      validate({
+        query: {
+          from: { type: "date" },
+          to: { type: "date" },
+          format: { type: "string", enum: ["csv", "json"] },
+        },
+      }),
+      async (req, res) => {
+        const { from, to, format = "json" } = req.query;
+        const paidAt = {};
+        if (from) paidAt.$gte = new Date(from);
+        if (to) paidAt.$lte = new Date(to);
+
+        if (
+          !["csv", "json"].includes(format) ||
+          Object.values(paidAt).some((date) => isNaN(date))
+        ) {
+          return res
+            .status(400)
+            .send({ message: "Invalid export format or date range." });
+        }
+
+        try {
+          const query = {
+            email: req.tokenEmail,
+            payment_status: { $in: invoicePaymentStatuses },
+            ...(Object.keys(paidAt).length && { paidAt }),
+          };
+          const orders = await ordersCollection
+            .find(query)
+            .sort({ paidAt: 1 })
+            .toArray();
+
+          const invoices = [];
+          for (const order of orders) {
+            const invoice = await buildInvoice(order);
+            invoices.push({
+              invoiceNumber: invoice.invoiceNumber,
+              orderId: invoice.orderId,
+              issuedAt: invoice.issuedAt,
+              items: invoice.items
+                .map((item) => `${item.bookTitle} x${item.quantity}`)
+                .join("; "),
+              subtotal: invoice.subtotal,
+              shippingFee: invoice.shippingFee,
+              discount: invoice.discount?.amount || 0,
+              taxAmount: invoice.taxAmount,
+              total: invoice.total,
+              refundedAmount: invoice.refundedAmount,
+              paymentStatus: order.payment_status,
+              paymentReference: invoice.paymentReference,
+            });
+          }
+
+          if (format === "json") {
+            return res.send(invoices);
+          }
+          res.setHeader("Content-Type", "text/csv");
+          res.setHeader(
+            "Content-Disposition",
+            'attachment; filename="invoices.csv"'
+          );
+          res.send(
+            toCsv(invoices, [
+              "invoiceNumber",
+              "orderId",
+              "issuedAt",
+              "items",
+              "subtotal",
+              "shippingFee",
+              "discount",
+              "taxAmount",
+              "total",
+              "refundedAmount",
+              "paymentStatus",
+              "paymentReference",
+            ])
+          );
+        } catch (error) {
+          console.error("Error exporting invoices:", error);
+          res.status(500).send({ message: "Failed to export invoices." });
+        }
+      }
+    );
+
+    app.get("/my-invoices/:email", verifyJWT, async (req, res) => {
+      const userEmail = req.params.email;
+      if (userEmail !== req.tokenEmail) {
+        return res
+          .status(403)
+          .send({ message: "Forbidden: Email does not match user" });
+      }
+
+      try {
+        const query = {
+          email: userEmail,
+          payment_status: { $in: invoicePaymentStatuses },
+        };
+        const invoices = await ordersCollection.find(query).toArray();
+        res.send(
+          invoices.map((order) => ({ ...order, items: getOrderItems(order) }))
+        );
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch paid orders." });
+      }
+    });
+
+    app.patch(
+      "/orders/update-status/:id",
+      verifyJWT,
+      verifyLibrarian,
+      validate({
+        body: {
+          newStatus: {
+            type: "string",
+            required: true,
+            enum: Object.keys(orderStatusTransitions),
+          },
+          note: { type: "string", maxLength: 1000 },
+        },
+      }),
+      async (req, res) => {
+        const id = req.params.id;
+        const { newStatus, note } = req.body;
+
+        if (!Object.keys(orderStatusTransitions).includes(newStatus)) {
+          return res.status(400).send({ message: "Invalid status update." });
+        }
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              message: "Forbidden: Order is not for one of your books.",
+            });
+          }
+
+          if (
+            fulfilmentStatuses.includes(newStatus) &&
+            !refundableStatuses.includes(order.payment_status)
+          ) {
+            return res.status(409).send({
+              code: "PAYMENT_REQUIRED",
+              message: `Only paid orders can be moved to ${newStatus}.`,
+            });
+          }
+          // Paid orders go through the cancel route so they get refunded
+          if (
+            newStatus === "cancelled" &&
+            refundableStatuses.includes(order.payment_status)
+          ) {
+            return res.status(409).send({
+              code: "REFUND_REQUIRED",
+              message: "Paid orders must be cancelled through /orders/cancel.",
+            });
+          }
+
+          const transition = await transitionOrderStatus(order, newStatus, {
+            actor: req.tokenEmail,
+            role: req.userRole,
+            note,
+          });
+          if (transition.error) {
+            return res.status(transition.error.status).send({
+              code: transition.error.code,
+              message: transition.error.message,
+            });
+          }
+          if (newStatus === "cancelled") {
+            await releaseUnpaidOrder(order);
+          }
+          await recordAudit(req, {
+            action: "order.status_change",
+            target: { type: "order", id, ownerEmail: order.email },
+            before: { status: order.status },
+            after: { status: newStatus },
+            metadata: note ? { note } : null,
+          });
+
+          res.send({
+            acknowledged: true,
+            modifiedCount: transition.result.modifiedCount,
+            statusHistoryEntry: transition.entry,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update order status." });
+        }
+      }
+    );
+
+    app.get("/orders/:orderId/timeline", verifyJWT, async (req, res) => {
+      const orderId = req.params.orderId;
+
+      try {
+        const order = await ordersCollection.findOne(
+          { _id: new ObjectId(orderId) },
+          {
+            projection: {
+              email: 1,
+              status: 1,
+              orderDate: 1,
+              statusHistory: 1,
+            },
+          }
+        );
+        if (!order) {
+          return res.status(404).send({ message: "Order not found." });
+        }
+        if (order.email !== req.tokenEmail) {
+          const requester = await getUserRole(req.tokenEmail);
+          if (requester?.role !== "admin") {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+        }
+
+        // Orders placed before history tracking only know their current status
+        const timeline = order.statusHistory || [
+          { from: null, status: order.status, at: order.orderDate },
+        ];
+        res.send({ orderId, status: order.status, timeline });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch order timeline." });
+      }
+    });
+
+    // refunds
+    const getOrderTotal = (order) =>
+      roundMoney(parseFloat(order.totalAmount ?? order.price) || 0);
+    const refundableStatuses = ["paid", "partially_refunded"];
+    // A cancel that crashed mid-refund can be retried once its claim is this old
+    const cancelClaimTtlMs = 10 * 60 * 1000;
+
+    const getPaymentIntentId = async (order) => {
+      if (order.stripePaymentIntentId) return order.stripePaymentIntentId;
+      if (!order.stripeSessionId) return null;
+      const session = await stripe.checkout.sessions.retrieve(
+        order.stripeSessionId
+      );
+      return session.payment_intent;
+    };
+
+    // A refund is claimed on the order (refundClaimedAt, conditional on the refunded
+    // total it was computed from) before Stripe is called, so concurrent refunds
+    // can't exceed the order total. The idempotency key is per refund slot: retrying
+    // a claim left by a crashed request gets the same Stripe refund back
+    const refundClaimTtlMs = 10 * 60 * 1000;
+
+    // Omitting amount refunds whatever has not been refunded yet
+    const refundOrderPayment = async (order, { amount, reason, actor }) => {
+      const alreadyRefunded = order.refundedAmount || 0;
+      const refundable = roundMoney(getOrderTotal(order) - alreadyRefunded);
+      const refundAmount =
+        amount === undefined ? refundable : roundMoney(Number(amount));
+
+      if (
+        !Number.isFinite(refundAmount) ||
+        refundAmount <= 0 ||
+        refundAmount > refundable
+      ) {
+        return {
+          error: {
+            status: 400,
+            code: "INVALID_REFUND_AMOUNT",
+            message: `Refund amount must be between 0 and ${refundable}.`,
+          },
+        };
+      }
+
+      const paymentIntentId = await getPaymentIntentId(order);
+      if (!paymentIntentId) {
+        return {
+          error: {
+            status: 409,
+            code: "PAYMENT_NOT_FOUND",
+            message: "No Stripe payment is recorded for this order.",
+          },
+        };
+      }
+
+      const claimedAt = new Date();
+      const claim = await ordersCollection.updateOne(
+        {
+          _id: order._id,
+          refundedAmount: order.refundedAmount ?? null,
+          $or: [
+            { refundClaimedAt: null },
+            {
+              refundClaimedAt: {
+                $lt: new Date(claimedAt.getTime() - refundClaimTtlMs),
+              },
+            },
+          ],
+        },
+        { $set: { refundClaimedAt: claimedAt } }
+      );
+      if (claim.modifiedCount === 0) {
+        return {
+          error: {
+            status: 409,
+            code: "REFUND_CONFLICT",
+            message:
+              "Another refund of this order is in progress or just finished. Please retry.",
+          },
+        };
+      }
+
+      const orderId = order._id.toHexString();
+      let stripeRefund;
+      try {
+        stripeRefund = await stripe.refunds.create(
+          {
+            payment_intent: paymentIntentId,
+            amount: Math.round(refundAmount * 100),
+            reason: "requested_by_customer",
+            metadata: { orderId, reason },
+          },
+          {
+            idempotencyKey: `order-${orderId}-refund-${
+              order.refunds?.length || 0
+            }`,
+          }
+        );
+      } catch (error) {
+        await ordersCollection.updateOne(
+          { _id: order._id, refundClaimedAt: claimedAt },
+          { $set: { refundClaimedAt: null } }
+        );
+        throw error;
+      }
+
+      const refund = {
+        refundId: stripeRefund.id,
+        amount: refundAmount,
+        reason,
+        refundedBy: actor,
+        createdAt: new Date(),
+      };
+      const refundedAmount = roundMoney(alreadyRefunded + refundAmount);
+      const payment_status =
+        refundedAmount >= getOrderTotal(order)
+          ? "refunded"
+          : "partially_refunded";
+
+      await ordersCollection.updateOne(
+        { _id: order._id, refundClaimedAt: claimedAt },
+        {
+          $set: {
+            payment_status,
+            refundedAmount,
+            refundedAt: refund.createdAt,
+            stripePaymentIntentId: paymentIntentId,
+            refundClaimedAt: null,
+          },
+          $push: { refunds: refund },
+        }
+      );
+      return { refund, payment_status };
+    };
+
+    app.patch(
+      "/orders/cancel/:id",
+      verifyJWT,
+      validate({
+        body: {
+          reason: { type: "string", maxLength: 1000 },
+          refundAmount: { type: "number", min: 0 },
+          override: { type: "boolean" },
+        },
+      }),
+      async (req, res) => {
+        const id = req.params.id;
+        const { reason, refundAmount, override } = req.body || {};
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+
+          const requester = await getUserRole(req.tokenEmail);
+          const role = requester?.role;
+          req.userRole = role;
+          const isStaff = role === "admin" || role === "librarian";
+          if (
+            order.email !== req.tokenEmail &&
+            !(isStaff && (await authorizeOrderAccess(req, order)))
+          ) {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+
+          if (order.status === "cancelled") {
+            return res.status(409).send({
+              code: "ORDER_ALREADY_CANCELLED",
+              message: "This order is already cancelled.",
+            });
+          }
+          const staleClaim =
+            order.status === "cancelling" &&
+            order.cancellation.claimedAt <
+              new Date(Date.now() - cancelClaimTtlMs);
+          if (order.status === "cancelling" && !staleClaim) {
+            return res.status(409).send({
+              code: "ORDER_CANCELLING",
+              message: "This order is already being cancelled.",
+            });
+          }
+          const fromStatus = staleClaim
+            ? order.cancellation.from
+            : order.status;
+          const adminOverride = role === "admin" && override === true;
+          if (!canTransitionOrder(fromStatus, "cancelled") && !adminOverride) {
+            return res.status(409).send({
+              code: "ORDER_ALREADY_SHIPPED",
+              message: `A ${fromStatus} order can only be cancelled by an admin override.`,
+            });
+          }
+
+          // Holding the order in "cancelling" while the refund runs keeps a second
+          // cancel (or any status change) from acting on it at the same time
+          const claimed = await ordersCollection.findOneAndUpdate(
+            {
+              _id: order._id,
+              status: order.status,
+              ...(staleClaim && {
+                "cancellation.claimedAt": order.cancellation.claimedAt,
+              }),
+            },
+            {
+              $set: {
+                status: "cancelling",
+                cancellation: {
+                  from: fromStatus,
+                  by: req.tokenEmail,
+                  claimedAt: new Date(),
+                },
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!claimed) {
+            return res.status(409).send({
+              code: "ORDER_STATUS_CONFLICT",
+              message: "The order was updated by someone else. Please retry.",
+            });
+          }
+          const releaseClaim = () =>
+            ordersCollection.updateOne(
+              { _id: order._id, status: "cancelling" },
+              { $set: { status: fromStatus }, $unset: { cancellation: "" } }
+            );
+
+          const cancellationReason = reason || "Cancelled by request";
+          let refund = null;
+          let payment_status = "cancelled";
+          if (refundableStatuses.includes(claimed.payment_status)) {
+            // Customers always get the remaining amount back; staff may refund partially
+            const refundResult = await refundOrderPayment(claimed, {
+              amount: isStaff ? refundAmount : undefined,
+              reason: cancellationReason,
+              actor: req.tokenEmail,
+            }).catch(async (error) => {
+              await releaseClaim();
+              throw error;
+            });
+            if (refundResult.error) {
+              await releaseClaim();
+              return res.status(refundResult.error.status).send({
+                code: refundResult.error.code,
+                message: refundResult.error.message,
+              });
+            }
+            refund = refundResult.refund;
+            payment_status = refundResult.payment_status;
+          } else if (claimed.payment_status !== "unpaid") {
+            payment_status = claimed.payment_status;
+          }
+
+          const transition = await transitionOrderStatus(
+            { ...claimed, status: fromStatus },
+            "cancelled",
+            {
+              actor: req.tokenEmail,
+              role: role || "user",
+              note: cancellationReason,
+              force: true,
+              expectStatus: "cancelling",
+              set: {
+                payment_status,
+                cancelledAt: new Date(),
+                cancelledBy: req.tokenEmail,
+                cancellationReason,
+              },
+            }
+          );
+          if (transition.error) {
+            return res.status(transition.error.status).send({
+              code: transition.error.code,
+              message: transition.error.message,
+              refund,
+            });
+          }
+          if (order.payment_status === "unpaid") {
+            await releaseUnpaidOrder(order);
+          } else {
+            await releaseStock(order);
+          }
+          if (refundableStatuses.includes(claimed.payment_status)) {
+            await revertSoldCount(order);
+          }
+          // Customers cancelling their own orders are not privileged actions
+          if (order.email !== req.tokenEmail) {
+            await recordAudit(req, {
+              action: "order.cancel",
+              target: { type: "order", id, ownerEmail: order.email },
+              before: {
+                status: fromStatus,
+                payment_status: order.payment_status,
+              },
+              after: { status: "cancelled", payment_status },
+              metadata: { reason: cancellationReason, adminOverride, refund },
+            });
+          }
+
+          res.send({
+            acknowledged: true,
+            modifiedCount: transition.result.modifiedCount,
+            refund,
+          });
+        } catch (error) {
+          console.error("Error cancelling order:", error);
+          res.status(500).send({ message: "Failed to cancel order." });
+        }
+      }
+    );
+
+    app.post(
+      "/orders/:id/refund",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        body: {
+          amount: { type: "number", min: 0 },
+          reason: { type: "string", maxLength: 1000 },
+        },
+      }),
+      async (req, res) => {
+        const id = req.params.id;
+        const { amount, reason } = req.body || {};
+
+        if (!reason) {
+          return res
+            .status(400)
+            .send({ message: "A refund reason is required." });
+        }
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+          if (!refundableStatuses.includes(order.payment_status)) {
+            return res.status(409).send({
+              code: "ORDER_NOT_REFUNDABLE",
+              message: "Only paid orders can be refunded.",
+            });
+          }
+
+          const refundResult = await refundOrderPayment(order, {
+            amount,
+            reason,
+            actor: req.tokenEmail,
+          });
+          if (refundResult.error) {
+            return res.status(refundResult.error.status).send({
+              code: refundResult.error.code,
+              message: refundResult.error.message,
+            });
+          }
+          if (refundResult.payment_status === "refunded") {
+            await revertSoldCount(order);
+          }
+
+          await recordAudit(req, {
+            action: "order.refund",
+            target: { type: "order", id, ownerEmail: order.email },
+            before: pickFields(order, ["payment_status", "refundedAmount"]),
+            after: {
+              payment_status: refundResult.payment_status,
+              refundedAmount: roundMoney(
+                (order.refundedAmount || 0) + refundResult.refund.amount
+              ),
+            },
+            metadata: { reason, refundId: refundResult.refund.refundId },
+          });
+          res.send({ acknowledged: true, ...refundResult });
+        } catch (error) {
+          console.error("Error refunding order:", error);
+          res.status(500).send({ message: "Failed to refund order." });
+        }
+      }
+    );
+
+    // coupons
+    const normalizeCouponCode = (code) =>
+      typeof code === "string" ? code.trim().toUpperCase() : "";
+
+    const couponSchema = {
+      code: { type: "string", required: true, maxLength: 32 },
+      type: { type: "string", required: true, enum: ["percentage", "fixed"] },
+      value: { type: "number", required: true, min: 0 },
+      minOrderValue: { type: "number", min: 0 },
+      startsAt: { type: "date", nullable: true },
+      expiresAt: { type: "date", nullable: true },
+      usageLimit: { type: "number", integer: true, min: 1, nullable: true },
+      perUserLimit: { type: "number", integer: true, min: 1, nullable: true },
+      categories: {
+        type: "array",
+        maxItems: 100,
+        items: { type: "string", maxLength: 100 },
+      },
+      librarianEmails: {
+        type: "array",
+        maxItems: 100,
+        items: { type: "email" },
+      },
+      active: { type: "boolean" },
+    };
+    const couponCodeSchema = {
+      code: { type: "string", required: true, maxLength: 32 },
+    };
+
+    const parseCoupon = (body) => {
+      const coupon = {
+        code: normalizeCouponCode(body.code),
+        type: body.type,
+        value: parseMoney(body.value),
+        minOrderValue: parseMoney(body.minOrderValue ?? 0),
+        startsAt: body.startsAt ? new Date(body.startsAt) : null,
+        expiresAt: body.expiresAt ? new Date(body.expiresAt) : null,
+        usageLimit: body.usageLimit == null ? null : Number(body.usageLimit),
+        perUserLimit:
+          body.perUserLimit == null ? null : Number(body.perUserLimit),
+        categories: Array.isArray(body.categories) ? body.categories : [],
+        librarianEmails: Array.isArray(body.librarianEmails)
+          ? body.librarianEmails
+          : [],
+        active: body.active !== false,
+      };
+
+      const errors = [];
+      if (!/^[A-Z0-9_-]{3,32}$/.test(coupon.code)) {
+        errors.push("code must be 3-32 letters, digits, '-' or '_'.");
+      }
+      if (!["percentage", "fixed"].includes(coupon.type)) {
+        errors.push("type must be 'percentage' or 'fixed'.");
+      }
+      if (
+        !coupon.value ||
+        (coupon.type === "percentage" && coupon.value > 100)
+      ) {
+        errors.push(
+          "value must be a positive amount (max 100 for percentage)."
+        );
+      }
+      if (coupon.minOrderValue === null) {
+        errors.push("minOrderValue must be a non-negative amount.");
+      }
+      for (const field of ["startsAt", "expiresAt"]) {
+        if (coupon[field] && isNaN(coupon[field])) {
+          errors.push(`${field} must be a valid date.`);
+        }
+      }
+      for (const field of ["usageLimit", "perUserLimit"]) {
+        if (
+          coupon[field] !== null &&
+          !(Number.isInteger(coupon[field]) && coupon[field] > 0)
+        ) {
+          errors.push(`${field} must be a positive integer.`);
+        }
+      }
+      return { coupon, errors };
+    };
+
+    // Works out the discount for priced items without redeeming anything.
+    // Each item gets its share of the discount so split orders can store their own part.
+    const evaluateCoupon = async (code, pricedItems, email) => {
+      const coupon = await couponsCollection.findOne({
+        code: normalizeCouponCode(code),
+      });
+      const now = new Date();
+      if (!coupon || !coupon.active) {
+        throw httpError(404, "COUPON_NOT_FOUND", "This coupon does not exist.");
+      }
+      if (
+        (coupon.startsAt && coupon.startsAt > now) ||
+        (coupon.expiresAt && coupon.expiresAt <= now)
+      ) {
+        throw httpError(409, "COUPON_EXPIRED", "This coupon is not active.");
+      }
+      if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+        throw httpError(
+          409,
+          "COUPON_EXHAUSTED",
+          "This coupon has been fully redeemed."
+        );
+      }
+      if (coupon.perUserLimit !== null) {
+        const userRedemptions =
+          await couponRedemptionsCollection.countDocuments({
+            couponId: coupon._id,
+            userEmail: email,
+            status: { $ne: "released" },
+          });
+        if (userRedemptions >= coupon.perUserLimit) {
+          throw httpError(
+            409,
+            "COUPON_USER_LIMIT",
+            "You have already used this coupon."
+          );
+        }
+      }
+
+      const subtotal = roundMoney(
+        pricedItems.reduce((sum, item) => sum + item.lineTotal, 0)
+      );
+      if (subtotal < coupon.minOrderValue) {
+        throw httpError(
+          409,
+          "COUPON_MIN_ORDER",
+          `This coupon requires a minimum order of ${coupon.minOrderValue}.`
+        );
+      }
+
+      const eligibleItems = pricedItems.filter(
+        (item) =>
+          (!coupon.categories.length ||
+            coupon.categories.includes(item.book?.category)) &&
+          (!coupon.librarianEmails.length ||
+            coupon.librarianEmails.includes(item.librarianEmail))
+      );
+      const eligibleSubtotal = roundMoney(
+        eligibleItems.reduce((sum, item) => sum + item.lineTotal, 0)
+      );
+      if (!eligibleSubtotal) {
+        throw httpError(
+          409,
+          "COUPON_NOT_APPLICABLE",
+          "This coupon does not apply to these books."
+        );
+      }
+
+      const discount = roundMoney(
+        coupon.type === "percentage"
+          ? (eligibleSubtotal * coupon.value) / 100
+          : Math.min(coupon.value, eligibleSubtotal)
+      );
+
+      // Spread proportionally, with the rounding remainder on the last item
+      const itemDiscounts = new Map();
+      let allocated = 0;
+      eligibleItems.forEach((item, index) => {
+        const share =
+          index === eligibleItems.length - 1
+            ? roundMoney(discount - allocated)
+            : roundMoney((discount * item.lineTotal) / eligibleSubtotal);
+        allocated = roundMoney(allocated + share);
+        itemDiscounts.set(item, share);
+      });
+
+      return { coupon, discount, eligibleSubtotal, itemDiscounts };
+    };
+
+    // The conditional $inc is what keeps a limited coupon from being over-redeemed
+    const redeemCoupon = async (coupon, { email, orderIds, discount }) => {
+      const result = await couponsCollection.updateOne(
+        {
+          _id: coupon._id,
+          active: true,
+          $or: [
+            { usageLimit: null },
+            { $expr: { $lt: ["$usedCount", "$usageLimit"] } },
+          ],
+        },
+        { $inc: { usedCount: 1 } }
+      );
+      if (result.modifiedCount === 0) {
+        throw httpError(
+          409,
+          "COUPON_EXHAUSTED",
+          "This coupon has been fully redeemed."
+        );
+      }
+
+      const redemption = await couponRedemptionsCollection.insertOne({
+        couponId: coupon._id,
+        code: coupon.code,
+        userEmail: email,
+        orderIds,
+        discount,
+        status: "reserved",
+        createdAt: new Date(),
+      });
+
+      if (coupon.perUserLimit !== null) {
+        const userRedemptions =
+          await couponRedemptionsCollection.countDocuments({
+            couponId: coupon._id,
+            userEmail: email,
+            status: { $ne: "released" },
+          });
+        if (userRedemptions > coupon.perUserLimit) {
+          await releaseCouponRedemption(redemption.insertedId);
+          throw httpError(
+            409,
+            "COUPON_USER_LIMIT",
+            "You have already used this coupon."
+          );
+        }
+      }
+      return redemption.insertedId;
+    };
+
+    // Gives an unpaid redemption back to the coupon's pool, at most once
+    const releaseCouponRedemption = async (redemptionId) => {
+      if (!redemptionId) return;
+      const redemption = await couponRedemptionsCollection.findOneAndUpdate(
+        { _id: redemptionId, status: "reserved" },
+        { $set: { status: "released", releasedAt: new Date() } }
+      );
+      if (!redemption) return;
+      await couponsCollection.updateOne(
+        { _id: redemption.couponId },
+        { $inc: { usedCount: -1 } }
+      );
+    };
+
+    // Undoes everything an abandoned checkout held: stock, coupon use and the open session
+    const releaseUnpaidOrder = async (order) => {
+      await releaseStock(order);
+      await releaseCouponRedemption(order.discount?.redemptionId);
+      if (order.stripeSessionId) {
+        await stripe.checkout.sessions
+          .expire(order.stripeSessionId)
+          .catch(() => {});
+      }
+    };
+
+    app.get("/admin/coupons", verifyJWT, verifyAdmin, async (req, res) => {
+      try {
+        const coupons = await couponsCollection
+          .find()
+          .sort({ createdAt: -1 })
+          .toArray();
+        res.send(coupons);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch coupons." });
+      }
+    });
+
+    app.post(
+      "/admin/coupons",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: couponSchema }),
+      async (req, res) => {
+        const { coupon, errors } = parseCoupon(req.body);
+        if (errors.length) {
+          return res.status(400).send({
+            code: "INVALID_COUPON",
+            message: "Invalid coupon.",
+            details: errors,
+          });
+        }
+
+        try {
+          const result = await couponsCollection.insertOne({
+            ...coupon,
+            usedCount: 0,
+            createdBy: req.tokenEmail,
+            createdAt: new Date(),
+          });
+          await recordAudit(req, {
+            action: "coupon.create",
+            target: { type: "coupon", id: result.insertedId.toHexString() },
+            after: coupon,
+          });
+          res.send(result);
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.status(409).send({
+              code: "COUPON_EXISTS",
+              message: "A coupon with this code already exists.",
+            });
+          }
+          res.status(500).send({ message: "Failed to create coupon." });
+        }
+      }
+    );
+
+    app.patch(
+      "/admin/coupons/:id",
+      verifyJWT,
+      verifyAdmin,
+      validate({ body: couponSchema, partial: true }),
+      async (req, res) => {
+        try {
+          const query = { _id: new ObjectId(req.params.id) };
+          const existing = await couponsCollection.findOne(query);
+          if (!existing) {
+            return res.status(404).send({ message: "Coupon not found." });
+          }
+
+          const { coupon, errors } = parseCoupon({ ...existing, ...req.body });
+          if (errors.length) {
+            return res.status(400).send({
+              code: "INVALID_COUPON",
+              message: "Invalid coupon.",
+              details: errors,
+            });
+          }
+          // The code is what customers have been given, so it never changes
+          delete coupon.code;
+
+          const result = await couponsCollection.updateOne(query, {
+            $set: { ...coupon, updatedAt: new Date() },
+          });
+          await recordAudit(req, {
+            action: "coupon.update",
+            target: { type: "coupon", id: req.params.id },
+            before: pickFields(existing, Object.keys(coupon)),
+            after: coupon,
+          });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update coupon." });
+        }
+      }
+    );
+
+    app.delete(
+      "/admin/coupons/:id",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          // Deactivate rather than delete so redeemed orders keep a valid reference
+          const result = await couponsCollection.updateOne(
+            { _id: new ObjectId(req.params.id) },
+            { $set: { active: false, updatedAt: new Date() } }
+          );
+          if (result.matchedCount === 0) {
+            return res.status(404).send({ message: "Coupon not found." });
+          }
+          await recordAudit(req, {
+            action: "coupon.deactivate",
+            target: { type: "coupon", id: req.params.id },
+            after: { active: false },
+          });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to deactivate coupon." });
+        }
+      }
+    );
+
+    const toStripeLineItem = (name, unitPrice, quantity) => ({
+      price_data: {
+        currency: "usd",
+        product_data: { name },
+        unit_amount: Math.round(unitPrice * 100),
+      },
+      quantity,
+    });
+
+    // Re-prices, reserves stock, redeems the coupon and opens one Stripe session covering every given order
+    const createOrdersCheckoutSession = async (
+      orders,
+      { metadata, couponCode }
+    ) => {
+      const prepared = [];
+      let redemptionId = null;
+      try {
+        // A new session replaces the previous one, so its coupon reservation goes back
+        for (const order of orders) {
+          await releaseCouponRedemption(order.discount?.redemptionId);
+        }
+
+        for (const order of orders) {
+          const pricing = await priceOrderItems(getOrderItems(order), {
+            checkStock: !order.stockReserved,
+          });
+          if (pricing.error) {
+            const { status, code, message } = pricing.error;
+            throw httpError(status, code, message);
+          }
+          // Orders placed before the address book have no address to quote against
+          const shipping = order.shippingAddress
+            ? await calculateShippingFee(
+                pricing.subtotal,
+                order.shippingAddress
+              )
+            : { fee: order.shippingFee || 0, rule: "legacy", zone: null };
+          const reserved = order.stockReserved
+            ? []
+            : await reserveOrderStock(pricing.items);
+          prepared.push({ order, pricing, shipping, reserved, discount: 0 });
+        }
+
+        let coupon = null;
+        let stripeCoupon = null;
+        if (couponCode) {
+          const evaluation = await evaluateCoupon(
+            couponCode,
+            prepared.flatMap(({ pricing }) => pricing.items),
+            orders[0].email
+          );
+          coupon = evaluation.coupon;
+          for (const entry of prepared) {
+            entry.discount = roundMoney(
+              entry.pricing.items.reduce(
+                (sum, item) => sum + (evaluation.itemDiscounts.get(item) || 0),
+                0
+              )
+            );
+          }
+          redemptionId = await redeemCoupon(coupon, {
+            email: orders[0].email,
+            orderIds: orders.map((order) => order._id),
+            discount: evaluation.discount,
+          });
+          stripeCoupon = await stripe.coupons.create({
+            amount_off: Math.round(evaluation.discount * 100),
+            currency: "usd",
+            duration: "once",
+            max_redemptions: 1,
+            name: coupon.code,
+          });
+        }
+
+        const lineItems = prepared.flatMap(({ pricing, shipping }) => [
+          ...pricing.items.map((item) =>
+            toStripeLineItem(item.bookTitle, item.unitPrice, item.quantity)
+          ),
+          ...(shipping.fee > 0
+            ? [toStripeLineItem("Shipping", shipping.fee, 1)]
+            : []),
+        ]);
+        const returnOrderId = orders[0]._id.toHexString();
+
+        const session = await stripe.checkout.sessions.create({
+          line_items: lineItems,
+          customer_email: orders[0].email,
+          mode: "payment",
+          // metadata travels with the session and its payment intent so webhooks can find the orders
+          client_reference_id: metadata.orderId || metadata.checkoutId,
+          metadata,
+          payment_intent_data: { metadata },
+          ...(stripeCoupon && { discounts: [{ coupon: stripeCoupon.id }] }),
+          success_url: `${process.env.CLIENT_DOMAIN}/payment/${returnOrderId}?status=success&session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-orders?status=cancelled&orderId=${returnOrderId}`,
+        });
+
+        for (const {
+          order,
+          pricing,
+          shipping,
+          reserved,
+          discount,
+        } of prepared) {
+          await ordersCollection.updateOne(
+            { _id: order._id, payment_status: "unpaid" },
+            {
+              $set: {
+                items: toOrderItems(pricing.items),
+                price: pricing.subtotal,
+                shippingFee: shipping.fee,
+                shippingRule: { rule: shipping.rule, zone: shipping.zone },
+                discount: coupon
+                  ? {
+                      code: coupon.code,
+                      couponId: coupon._id,
+                      amount: discount,
+                      redemptionId,
+                    }
+                  : null,
+                totalAmount: roundMoney(
+                  pricing.subtotal + shipping.fee - discount
+                ),
+                stripeSessionId: session.id,
+                ...(reserved.length && {
+                  stockReserved: true,
+                  reservedItems: reserved,
+                }),
+              },
+            }
+          );
+        }
+
+        // Only one open session per order, so it can't be paid twice
+        const staleSessionIds = new Set(
+          orders.map((order) => order.stripeSessionId).filter(Boolean)
+        );
+        for (const staleSessionId of staleSessionIds) {
+          await stripe.checkout.sessions.expire(staleSessionId).catch(() => {});
+        }
+
+        return session;
+      } catch (error) {
+        for (const { reserved } of prepared) {
+          await restoreStock(reserved);
+        }
+        await releaseCouponRedemption(redemptionId);
+        throw error;
+      }
+    };
+
+    app.post(
+      "/create-checkout-session",
+      verifyJWT,
+      validate({
+        body: {
+          orderId: { type: "objectId", required: true },
+          couponCode: { type: "string", maxLength: 32 },
+        },
+      }),
+      async (req, res) => {
+        const { orderId, couponCode } = req.body;
+
+        if (!orderId || !ObjectId.isValid(orderId)) {
+          return res
+            .status(400)
+            .send({ error: "Missing required payment details." });
+        }
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(orderId),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+          if (order.email !== req.tokenEmail) {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Checkout email mismatch" });
+          }
+          if (
+            order.payment_status !== "unpaid" ||
+            order.status === "cancelled"
+          ) {
+            return res.status(409).send({
+              code: "ORDER_NOT_PAYABLE",
+              message: "This order can no longer be paid.",
+            });
+          }
+
+          // Loans are charged their deposit, not the book's price
+          const session =
+            order.orderType === "loan"
+              ? await createLoanCheckoutSession(order)
+              : await createOrdersCheckoutSession([order], {
+                  metadata: { orderId },
+                  couponCode: couponCode || order.couponCode,
+                });
+          res.send({ url: session.url });
+        } catch (error) {
+          if (error.status) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          res.status(500).send({ error: error.message });
+        }
+      }
+    );
+
+    // cart: one document per user and book
+    const cartQuantityRule = { type: "number", integer: true, min: 1 };
+
+    const parseCartQuantity = (value) => {
+      const quantity = Number(value ?? 1);
+      return Number.isInteger(quantity) && quantity >= 1 ? quantity : null;
+    };
+
+    app.get("/cart", verifyJWT, async (req, res) => {
+      try {
+        const cartItems = await cartsCollection
+          .aggregate([
+            { $match: { userEmail: req.tokenEmail } },
+            { $sort: { addedAt: 1 } },
+            {
+              $lookup: {
+                from: "books",
+                let: { bookId: { $toObjectId: "$bookId" } },
+                pipeline: [
+                  { $match: { $expr: { $eq: ["$_id", "$$bookId"] } } },
+                  {
+                    $project: {
+                      bookTitle: 1,
+                      authorName: 1,
+                      image: 1,
+                      price: 1,
+                      status: 1,
+                      stockQuantity: 1,
+                    },
+                  },
+                ],
+                as: "book",
+              },
+            },
+            { $unwind: { path: "$book", preserveNullAndEmptyArrays: true } },
+          ])
+          .toArray();
+
+        // Prices are always the live book price, never what was added
+        const items = cartItems.map((item) => {
+          const unitPrice = parseFloat(item.book?.price) || 0;
+          const available =
+            item.book?.status === "published" &&
+            (typeof item.book.stockQuantity !== "number" ||
+              item.book.stockQuantity >= item.quantity);
+          return {
+            ...item,
+            unitPrice,
+            lineTotal: roundMoney(unitPrice * item.quantity),
+            available,
+          };
+        });
+        const subtotal = roundMoney(
+          items
+            .filter((item) => item.available)
+            .reduce((sum, item) => sum + item.lineTotal, 0)
+        );
+        res.send({ items, subtotal });
+      } catch (error) {
+        console.error("Error fetching cart:", error);
+        res.status(500).send({ message: "Failed to fetch cart." });
+      }
+    });
+
+    // Stock is checked at checkout, not while the cart is being filled
+    const addToCart = async (userEmail, bookId, quantity) => {
+      const pricing = await priceOrder(bookId, quantity, { checkStock: false });
+      if (pricing.error) return { error: pricing.error };
+
+      const now = new Date();
+      const result = await cartsCollection.updateOne(
+        { userEmail, bookId: pricing.book._id.toHexString() },
+        {
+          $inc: { quantity },
+          $set: { updatedAt: now },
+          $setOnInsert: { addedAt: now },
+        },
+        { upsert: true }
+      );
+      return { result };
+    };
+
+    app.post(
+      "/cart",
+      verifyJWT,
+      validate({
+        body: {
+          bookId: { type: "objectId", required: true },
+          quantity: cartQuantityRule,
+        },
+      }),
+      async (req, res) => {
+        const { bookId } = req.body;
+        const quantity = parseCartQuantity(req.body.quantity);
+
+        if (quantity === null) {
+          return res.status(400).send({
+            code: "INVALID_QUANTITY",
+            message: "Quantity must be a positive integer.",
+          });
+        }
+
+        try {
+          const { error, result } = await addToCart(
+            req.tokenEmail,
+            bookId,
+            quantity
+          );
+          if (error) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          res.send(result);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to add book to cart." });
+        }
+      }
+    );
+
+    app.patch(
+      "/cart/:bookId",
+      verifyJWT,
+      validate({ body: { quantity: { ...cartQuantityRule, required: true } } }),
+      async (req, res) => {
+        const quantity = parseCartQuantity(req.body.quantity);
+        if (quantity === null) {
+          return res.status(400).send({
+            code: "INVALID_QUANTITY",
+            message: "Quantity must be a positive integer.",
+          });
+        }
+
+        try {
+          const result = await cartsCollection.updateOne(
+            { userEmail: req.tokenEmail, bookId: req.params.bookId },
+            { $set: { quantity, updatedAt: new Date() } }
+          );
+          if (result.matchedCount === 0) {
+            return res
+              .status(404)
+              .send({ message: "Book is not in your cart." });
+          }
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update cart." });
+        }
+      }
+    );
+
+    app.delete("/cart/:bookId", verifyJWT, async (req, res) => {
+      try {
+        const result = await cartsCollection.deleteOne({
+          userEmail: req.tokenEmail,
+          bookId: req.params.bookId,
+        });
+        res.send(result);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to remove book from cart." });
+      }
+    });
+
+    app.delete("/cart", verifyJWT, async (req, res) => {
+      try {
+        const result = await cartsCollection.deleteMany({
+          userEmail: req.tokenEmail,
+        });
+        res.send(result);
+      } catch (error) {
+        res.status(500).send({ message: "Failed to clear cart." });
+      }
+    });
+
+    const sendCouponPreview = async (res, code, pricedItems, email) => {
+      const { coupon, discount, eligibleSubtotal } = await evaluateCoupon(
+        code,
+        pricedItems,
+        email
+      );
+      const subtotal = roundMoney(
+        pricedItems.reduce((sum, item) => sum + item.lineTotal, 0)
+      );
+      res.send({
+        code: coupon.code,
+        type: coupon.type,
+        value: coupon.value,
+        subtotal,
+        eligibleSubtotal,
+        discount,
+      });
+    };
+
+    app.post(
+      "/cart/apply-coupon",
+      verifyJWT,
+      validate({ body: couponCodeSchema }),
+      async (req, res) => {
+        try {
+          const cartItems = await cartsCollection
+            .find({ userEmail: req.tokenEmail })
+            .toArray();
+          if (!cartItems.length) {
+            return res
+              .status(400)
+              .send({ code: "CART_EMPTY", message: "Your cart is empty." });
+          }
+          const pricing = await priceOrderItems(cartItems, {
+            checkStock: false,
+          });
+          if (pricing.error) {
+            return res.status(pricing.error.status).send({
+              code: pricing.error.code,
+              message: pricing.error.message,
+            });
+          }
+          await sendCouponPreview(
+            res,
+            req.body.code,
+            pricing.items,
+            req.tokenEmail
+          );
+        } catch (error) {
+          if (error.status) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          res.status(500).send({ message: "Failed to apply coupon." });
+        }
+      }
+    );
+
+    // Validates a coupon for an unpaid order and keeps it for that order's checkout
+    app.post(
+      "/orders/:id/apply-coupon",
+      verifyJWT,
+      validate({ body: couponCodeSchema }),
+      async (req, res) => {
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+          if (order.email !== req.tokenEmail) {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+          if (
+            order.payment_status !== "unpaid" ||
+            order.status === "cancelled"
+          ) {
+            return res.status(409).send({
+              code: "ORDER_NOT_PAYABLE",
+              message: "This order can no longer be paid.",
+            });
+          }
+
+          const pricing = await priceOrderItems(getOrderItems(order), {
+            checkStock: false,
+          });
+          if (pricing.error) {
+            return res.status(pricing.error.status).send({
+              code: pricing.error.code,
+              message: pricing.error.message,
+            });
+          }
+          await evaluateCoupon(req.body.code, pricing.items, req.tokenEmail);
+          await ordersCollection.updateOne(
+            { _id: order._id },
+            { $set: { couponCode: normalizeCouponCode(req.body.code) } }
+          );
+          await sendCouponPreview(
+            res,
+            req.body.code,
+            pricing.items,
+            req.tokenEmail
+          );
+        } catch (error) {
+          if (error.status) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          res.status(500).send({ message: "Failed to apply coupon." });
+        }
+      }
+    );
+
+    // Splits the cart into one order per librarian, linked by a shared checkoutId,
+    // and pays for all of them in a single Stripe session
+    app.post(
+      "/cart/checkout",
+      verifyJWT,
+      validate({
+        body: {
+          addressId: { type: "objectId" },
+          shippingAddress: { type: "object", fields: addressSchema },
+          couponCode: { type: "string", maxLength: 32 },
+        },
+      }),
+      async (req, res) => {
+        const { addressId, shippingAddress, couponCode } = req.body;
+        let insertedIds = [];
+
+        try {
+          const cartItems = await cartsCollection
+            .find({ userEmail: req.tokenEmail })
+            .sort({ addedAt: 1 })
+            .toArray();
+          if (!cartItems.length) {
+            return res
+              .status(400)
+              .send({ code: "CART_EMPTY", message: "Your cart is empty." });
+          }
+
+          const { address, errors } = await resolveShippingAddress(
+            req.tokenEmail,
+            { addressId, shippingAddress }
+          );
+          if (errors.length) {
+            return res.status(400).send({
+              code: "INVALID_ADDRESS",
+              message: "Invalid shipping address.",
+              details: errors,
+            });
+          }
+
+          const pricing = await priceOrderItems(cartItems);
+          if (pricing.error) {
+            return res.status(pricing.error.status).send({
+              code: pricing.error.code,
+              message: pricing.error.message,
+              bookId: pricing.error.bookId,
+            });
+          }
+
+          const itemsByLibrarian = new Map();
+          for (const item of pricing.items) {
+            const key = item.librarianEmail || "unknown";
+            itemsByLibrarian.set(key, [
+              ...(itemsByLibrarian.get(key) || []),
+              item,
+            ]);
+          }
+
+          const checkoutId = new ObjectId();
+          const orders = [];
+          for (const items of itemsByLibrarian.values()) {
+            const subtotal = roundMoney(
+              items.reduce((sum, item) => sum + item.lineTotal, 0)
+            );
+            const shipping = await calculateShippingFee(subtotal, address);
+            orders.push(
+              buildOrder({
+                email: req.tokenEmail,
+                pricing: { items, subtotal },
+                address,
+                shipping,
+                checkoutId,
+              })
+            );
+          }
+
+          const result = await ordersCollection.insertMany(orders);
+          insertedIds = Object.values(result.insertedIds);
+          orders.forEach((order, index) => {
+            order._id = insertedIds[index];
+          });
+          for (const order of orders) {
+            await notify(req.tokenEmail, "order_created", { order });
+          }
+
+          const session = await createOrdersCheckoutSession(orders, {
+            metadata: { checkoutId: checkoutId.toHexString() },
+            couponCode,
+          });
+          await cartsCollection.deleteMany({ userEmail: req.tokenEmail });
+
+          res.send({
+            url: session.url,
+            checkoutId,
+            orderIds: insertedIds,
+          });
+        } catch (error) {
+          // Orders that never reached Stripe are discarded so the cart can be retried
+          if (insertedIds.length) {
+            await ordersCollection.deleteMany({ _id: { $in: insertedIds } });
+          }
+          if (error.status) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          console.error("Error checking out cart:", error);
+          res.status(500).send({ message: "Failed to check out cart." });
+        }
+      }
+    );
+
+    // payment reconciliation shared by payment-success and the Stripe webhook
+    // Single orders carry orderId; cart checkouts carry the checkoutId shared by their orders
+    const getSessionOrderIds = async (metadata) => {
+      if (metadata?.orderId && ObjectId.isValid(metadata.orderId)) {
+        return [new ObjectId(metadata.orderId)];
+      }
+      if (metadata?.checkoutId && ObjectId.isValid(metadata.checkoutId)) {
+        const orders = await ordersCollection
+          .find({ checkoutId: new ObjectId(metadata.checkoutId) })
+          .project({ _id: 1 })
+          .toArray();
+        return orders.map((order) => order._id);
+      }
+      return [];
+    };
+
+    const markOrderPaid = async (orderId, session) => {
+      const order = await ordersCollection.findOneAndUpdate(
+        { _id: orderId, payment_status: "unpaid" },
+        {
+          $set: {
+            payment_status: "paid",
+            stripeSessionId: session.id,
+            stripePaymentIntentId: session.payment_intent,
+            paidAt: new Date(),
+          },
+          $unset: { lastPaymentError: "" },
+        },
+        { returnDocument: "before" }
+      );
+      if (!order) return { modifiedCount: 0 };
+
+      if (order.discount?.redemptionId) {
+        await couponRedemptionsCollection.updateOne(
+          { _id: order.discount.redemptionId, status: "reserved" },
+          { $set: { status: "redeemed", redeemedAt: new Date() } }
+        );
+      }
+      if (order.status === "pending") {
+        await transitionOrderStatus(order, "processing", {
+          actor: "stripe",
+          role: "system",
+          note: "Payment received",
+          silent: true,
+        });
+      }
+      // Feeds the "popularity" sort of the catalog; loans are not sales
+      if (order.orderType !== "loan") {
+        await booksCollection.bulkWrite(
+          getOrderItems(order).map((item) => ({
+            updateOne: {
+              filter: { _id: new ObjectId(item.bookId) },
+              update: { $inc: { soldCount: item.quantity } },
+            },
+          }))
+        );
+      }
+      await assignInvoiceNumber({ _id: order._id, paidAt: new Date() });
+      await notify(order.email, "payment_succeeded", { order });
+      await notify(await getOrderOwnerEmail(order), "new_paid_order", {
+        order,
+      });
+      return { modifiedCount: 1 };
+    };
+
+    const markSessionOrdersPaid = async (session) => {
+      let modifiedCount = 0;
+      for (const orderId of await getSessionOrderIds(session.metadata)) {
+        modifiedCount += (await markOrderPaid(orderId, session)).modifiedCount;
+      }
+      return { modifiedCount };
+    };
+
+    app.patch(
+      "/orders/payment-success/:orderId",
+      verifyJWT,
+      validate({
+        body: { sessionId: { type: "string", required: true, maxLength: 255 } },
+      }),
+      async (req, res) => {
+        const orderId = req.params.orderId;
+        const sessionId = req.body.sessionId;
+
+        if (!sessionId) {
+          return res
+            .status(400)
+            .send({ message: "Missing Stripe checkout session id." });
+        }
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(orderId),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+          if (order.email !== req.tokenEmail) {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+
+          const session = await stripe.checkout.sessions.retrieve(sessionId);
+          const sessionOrderIds = await getSessionOrderIds(session.metadata);
+          if (!sessionOrderIds.some((id) => id.equals(order._id))) {
+            return res
+              .status(400)
+              .send({ message: "Payment session does not match this order." });
+          }
+          if (session.payment_status !== "paid") {
+            return res
+              .status(400)
+              .send({ message: "Payment session status is not 'paid'." });
+          }
+
+          // The webhook may already have reconciled this order
+          const result = await markSessionOrdersPaid(session);
+          res.send({
+            acknowledged: true,
+            alreadyPaid: result.modifiedCount === 0,
+            message: "Order updated to paid.",
+          });
+        } catch (error) {
+          res
+            .status(500)
+            .send({ message: "Failed to update order status.", error });
+        }
+      }
+    );
+
+    const handleStripeEvent = async (event) => {
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "checkout.session.completed": {
+          if (object.payment_status !== "paid") return;
+          if (object.metadata?.purpose === "late_fee") {
+            await markLateFeePaid(object);
+            break;
+          }
+          await markSessionOrdersPaid(object);
+          break;
+        }
+        case "checkout.session.expired": {
+          for (const orderId of await getSessionOrderIds(object.metadata)) {
+            const result = await ordersCollection.updateOne(
+              {
+                _id: orderId,
+                payment_status: "unpaid",
+                stripeSessionId: object.id,
+              },
+              {
+                $set: { checkoutExpiredAt: new Date() },
+                $unset: { stripeSessionId: "" },
+              }
+            );
+            if (result.modifiedCount === 1) {
+              const order = await ordersCollection.findOne({ _id: orderId });
+              await releaseStock(order);
+              if (order.discount) {
+                await releaseCouponRedemption(order.discount.redemptionId);
+                await ordersCollection.updateOne(
+                  { _id: orderId },
+                  {
+                    $set: {
+                      discount: null,
+                      totalAmount: roundMoney(
+                        order.price + (order.shippingFee || 0)
+                      ),
+                    },
+                  }
+                );
+              }
+            }
+          }
+          break;
+        }
+        case "charge.refunded": {
+          let query = { stripePaymentIntentId: object.payment_intent };
+          if (!(await ordersCollection.findOne(query))) {
+            // Orders paid before webhooks existed only stored the session id
+            const sessions = await stripe.checkout.sessions.list({
+              payment_intent: object.payment_intent,
+              limit: 1,
+            });
+            if (!sessions.data.length) return;
+            query = { stripeSessionId: sessions.data[0].id };
+          }
+
+          const fullyRefunded = object.amount_refunded >= object.amount;
+          const revertRefundedSales = async () => {
+            if (!fullyRefunded) return;
+            const orders = await ordersCollection.find(query).toArray();
+            for (const order of orders) await revertSoldCount(order);
+          };
+          const matchedOrders = await ordersCollection.countDocuments(query);
+          if (matchedOrders > 1) {
+            // A cart checkout shares one payment; per-order partial refunds are
+            // recorded when issued, so only a full refund is applied here
+            if (!fullyRefunded) return;
+            await ordersCollection.updateMany(query, [
+              {
+                $set: {
+                  payment_status: "refunded",
+                  refundedAmount: { $ifNull: ["$totalAmount", "$price"] },
+                  refundedAt: "$$NOW",
+                },
+              },
+            ]);
+            await revertRefundedSales();
+            return;
+          }
+
+          await ordersCollection.updateMany(query, {
+            $set: {
+              payment_status: fullyRefunded ? "refunded" : "partially_refunded",
+              refundedAmount: object.amount_refunded / 100,
+              refundedAt: new Date(),
+            },
+          });
+          await revertRefundedSales();
+          break;
+        }
+        case "payment_intent.payment_failed": {
+          const orderIds = await getSessionOrderIds(object.metadata);
+          if (!orderIds.length) return;
+          await ordersCollection.updateMany(
+            { _id: { $in: orderIds }, payment_status: "unpaid" },
+            {
+              $set: {
+                lastPaymentError: {
+                  code: object.last_payment_error?.code || null,
+                  message: object.last_payment_error?.message || null,
+                  failedAt: new Date(),
+                },
+              },
+            }
+          );
+          break;
+        }
+        default:
+          break;
+      }
+    };
+
+    app.post(
+      "/webhooks/stripe",
+      express.raw({ type: "application/json" }),
+      async (req, res) => {
+        let event;
+        try {
+          event = stripe.webhooks.constructEvent(
+            req.body,
+            req.headers["stripe-signature"],
+            process.env.STRIPE_WEBHOOK_SECRET
+          );
+        } catch (err) {
+          console.error("Stripe Webhook Signature Error:", err.message);
+          return res
+            .status(400)
+            .send({ message: "Invalid Stripe webhook signature." });
+        }
+
+        // Stripe retries deliveries, so every event id is processed only once
+        try {
+          await stripeEventsCollection.insertOne({
+            _id: event.id,
+            type: event.type,
+            receivedAt: new Date(),
+          });
+        } catch (error) {
+          if (error.code === 11000) {
+            return res.send({ received: true, duplicate: true });
+          }
+          console.error("Error recording Stripe event:", error);
+          return res.status(500).send({ message: "Failed to record event." });
+        }
+
+        try {
+          await handleStripeEvent(event);
+          res.send({ received: true });
+        } catch (error) {
+          // Forget the event so Stripe's retry gets processed again
+          await stripeEventsCollection.deleteOne({ _id: event.id });
+          console.error(`Error handling Stripe event ${event.type}:`, error);
+          res.status(500).send({ message: "Failed to process event." });
+        }
+      }
+    );
+
+    // deliveries: couriers carry paid orders from dispatch to a verified handoff
+    const deliveryEventSchema = {
+      location: { type: "string", maxLength: 300, nullable: true },
+      note: { type: "string", maxLength: 1000, nullable: true },
+    };
+
+    const courierCheckpointStatuses = [
+      "in_transit",
+      "out_for_delivery",
+      "delivery_attempted",
+    ];
+    const maxOtpAttempts = 5;
+    const courierProjection = { otp: 0 };
+
+    const generateDeliveryOtp = () => String(crypto.randomInt(100000, 1000000));
+
+    // Loads a delivery that belongs to the calling courier (admins may act on any)
+    const findCourierDelivery = async (req, res) => {
+      const delivery = await deliveriesCollection.findOne({
+        _id: new ObjectId(req.params.id),
+      });
+      if (!delivery) {
+        res.status(404).send({ message: "Delivery not found." });
+        return null;
+      }
+      if (
+        req.userRole !== "admin" &&
+        delivery.courierEmail !== req.tokenEmail
+      ) {
+        res
+          .status(403)
+          .send({ message: "Forbidden: Delivery is not assigned to you." });
+        return null;
+      }
+      return delivery;
+    };
+
+    const findAssignableCourier = async (courierEmail) => {
+      if (!courierEmail) return null;
+      return await usersCollection.findOne(
+        { email: courierEmail, role: "courier" },
+        { projection: { email: 1, name: 1 } }
+      );
+    };
+
+    app.post(
+      "/deliveries",
+      verifyJWT,
+      verifyLibrarian,
+      validate({
+        body: {
+          orderId: { type: "objectId", required: true },
+          courierEmail: { type: "email", required: true },
+        },
+      }),
+      async (req, res) => {
+        const { orderId, courierEmail } = req.body;
+
+        if (!orderId || !ObjectId.isValid(orderId)) {
+          return res
+            .status(400)
+            .send({ message: "A valid orderId is required." });
+        }
+
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(orderId),
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Order not found." });
+          }
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              message: "Forbidden: Order is not for one of your books.",
+            });
+          }
+          if (
+            order.status !== "processing" ||
+            !refundableStatuses.includes(order.payment_status)
+          ) {
+            return res.status(409).send({
+              code: "ORDER_NOT_READY",
+              message: "Only paid orders awaiting shipment can be assigned.",
+            });
+          }
+
+          const courier = await findAssignableCourier(courierEmail);
+          if (!courier) {
+            return res
+              .status(400)
+              .send({ code: "INVALID_COURIER", message: "Courier not found." });
+          }
+
+          const activeDelivery = await deliveriesCollection.findOne({
+            orderId: order._id,
+            status: { $ne: "delivered" },
+          });
+          if (activeDelivery) {
+            return res.status(409).send({
+              code: "DELIVERY_EXISTS",
+              message: "This order already has an active delivery.",
+              deliveryId: activeDelivery._id,
+            });
+          }
+
+          const now = new Date();
+          const result = await deliveriesCollection.insertOne({
+            orderId: order._id,
+            courierEmail: courier.email,
+            status: "assigned",
+            assignedBy: req.tokenEmail,
+            assignedAt: now,
+            otpAttempts: 0,
+            events: [
+              {
+                status: "assigned",
+                note: `Assigned to ${courier.name || courier.email}`,
+                location: null,
+                actorEmail: req.tokenEmail,
+                at: now,
+              },
+            ],
+          });
+          await ordersCollection.updateOne(
+            { _id: order._id },
+            { $set: { deliveryId: result.insertedId } }
+          );
+          await recordAudit(req, {
+            action: "delivery.assign",
+            target: {
+              type: "delivery",
+              id: result.insertedId.toHexString(),
+              orderId: order._id.toHexString(),
+            },
+            after: { courierEmail: courier.email },
+          });
+
+          res.send(result);
+        } catch (error) {
+          console.error("Error assigning delivery:", error);
+          res.status(500).send({ message: "Failed to assign delivery." });
+        }
+      }
+    );
+
+    app.patch(
+      "/deliveries/:id/reassign",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ body: { courierEmail: { type: "email", required: true } } }),
+      async (req, res) => {
+        const { courierEmail } = req.body;
+
+        try {
+          const delivery = await deliveriesCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!delivery) {
+            return res.status(404).send({ message: "Delivery not found." });
+          }
+          const order = await ordersCollection.findOne({
+            _id: delivery.orderId,
+          });
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              message: "Forbidden: Order is not for one of your books.",
+            });
+          }
+          if (delivery.status === "delivered") {
+            return res.status(409).send({
+              code: "DELIVERY_COMPLETED",
+              message: "A completed delivery cannot be reassigned.",
+            });
+          }
+
+          const courier = await findAssignableCourier(courierEmail);
+          if (!courier) {
+            return res
+              .status(400)
+              .send({ code: "INVALID_COURIER", message: "Courier not found." });
+          }
+
+          const result = await deliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+              $set: { courierEmail: courier.email },
+              $push: {
+                events: {
+                  status: "reassigned",
+                  note: `Reassigned to ${courier.name || courier.email}`,
+                  location: null,
+                  actorEmail: req.tokenEmail,
+                  at: new Date(),
+                },
+              },
+            }
+          );
+          await recordAudit(req, {
+            action: "delivery.reassign",
+            target: { type: "delivery", id: req.params.id },
+            before: pickFields(delivery, ["courierEmail"]),
+            after: { courierEmail: courier.email },
+          });
+          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to reassign delivery." });
+        }
+      }
+    );
+
+    app.get(
+      "/courier/assignments",
+      verifyJWT,
+      verifyCourier,
+      validate({ query: { status: { type: "string", maxLength: 50 } } }),
+      async (req, res) => {
+        const status = req.query.status;
+        const query = { courierEmail: req.tokenEmail };
+        // active assignments by default; ?status=all includes completed ones
+        if (!status) {
+          query.status = { $ne: "delivered" };
+        } else if (status !== "all") {
+          query.status = status;
+        }
+
+        try {
+          const assignments = await deliveriesCollection
+            .aggregate([
+              { $match: query },
+              { $sort: { assignedAt: -1 } },
+              { $project: courierProjection },
+              {
+                $lookup: {
+                  from: "orders",
+                  localField: "orderId",
+                  foreignField: "_id",
+                  as: "order",
+                  pipeline: [
+                    {
+                      $project: {
+                        statusHistory: 0,
+                        refunds: 0,
+                        stripeSessionId: 0,
+                        stripePaymentIntentId: 0,
+                      },
+                    },
+                  ],
+                },
+              },
+              { $unwind: "$order" },
+            ])
+            .toArray();
+          res.send(assignments);
+        } catch (error) {
+          console.error("Error fetching courier assignments:", error);
+          res.status(500).send({ message: "Failed to fetch assignments." });
+        }
+      }
+    );
+
+    app.post(
+      "/deliveries/:id/dispatch",
+      verifyJWT,
+      verifyCourier,
+      validate({ body: deliveryEventSchema }),
+      async (req, res) => {
+        try {
+          const delivery = await findCourierDelivery(req, res);
+          if (!delivery) return;
+          if (delivery.status !== "assigned") {
+            return res.status(409).send({
+              code: "DELIVERY_ALREADY_DISPATCHED",
+              message: "This delivery has already been dispatched.",
+            });
+          }
+
+          const order = await ordersCollection.findOne({
+            _id: delivery.orderId,
+          });
+          const transition = await transitionOrderStatus(order, "shipped", {
+            actor: req.tokenEmail,
+            role: req.userRole,
+            note: "Picked up by courier",
+          });
+          if (transition.error) {
+            return res.status(transition.error.status).send({
+              code: transition.error.code,
+              message: transition.error.message,
+            });
+          }
+
+          const now = new Date();
+          await deliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+              $set: {
+                status: "dispatched",
+                dispatchedAt: now,
+                otp: { code: generateDeliveryOtp(), generatedAt: now },
+                otpAttempts: 0,
+              },
+              $push: {
+                events: {
+                  status: "picked_up",
+                  note: req.body?.note || null,
+                  location: req.body?.location || null,
+                  actorEmail: req.tokenEmail,
+                  at: now,
+                },
+              },
+            }
+          );
+
+          res.send({ acknowledged: true, status: "dispatched" });
+        } catch (error) {
+          console.error("Error dispatching delivery:", error);
+          res.status(500).send({ message: "Failed to dispatch delivery." });
+        }
+      }
+    );
+
+    app.post(
+      "/deliveries/:id/checkpoints",
+      verifyJWT,
+      verifyCourier,
+      validate({
+        body: {
+          ...deliveryEventSchema,
+          status: {
+            type: "string",
+            required: true,
+            enum: courierCheckpointStatuses,
+          },
+        },
+      }),
+      async (req, res) => {
+        const { status, location, note } = req.body;
+
+        if (!courierCheckpointStatuses.includes(status)) {
+          return res
+            .status(400)
+            .send({ message: "Invalid checkpoint status." });
+        }
+
+        try {
+          const delivery = await findCourierDelivery(req, res);
+          if (!delivery) return;
+          if (!["dispatched", "out_for_delivery"].includes(delivery.status)) {
+            return res.status(409).send({
+              code: "DELIVERY_NOT_IN_TRANSIT",
+              message:
+                "Checkpoints can only be added to dispatched deliveries.",
+            });
+          }
+
+          if (
+            status === "out_for_delivery" &&
+            delivery.status !== "out_for_delivery"
+          ) {
+            const order = await ordersCollection.findOne({
+              _id: delivery.orderId,
+            });
+            const transition = await transitionOrderStatus(
+              order,
+              "out_for_delivery",
+              { actor: req.tokenEmail, role: req.userRole, note }
+            );
+            if (transition.error) {
+              return res.status(transition.error.status).send({
+                code: transition.error.code,
+                message: transition.error.message,
+              });
+            }
+          }
+
+          const event = {
+            status,
+            note: note || null,
+            location: location || null,
+            actorEmail: req.tokenEmail,
+            at: new Date(),
+          };
+          await deliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+              $set:
+                status === "out_for_delivery"
+                  ? { status: "out_for_delivery" }
+                  : {},
+              $push: { events: event },
+            }
+          );
+
+          res.send({ acknowledged: true, event });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to add checkpoint." });
+        }
+      }
+    );
+
+    app.post(
+      "/deliveries/:id/proof",
+      verifyJWT,
+      verifyCourier,
+      validate({
+        body: {
+          recipientName: {
+            type: "string",
+            required: true,
+            minLength: 1,
+            maxLength: 200,
+          },
+          otp: { type: "string", required: true, pattern: /^[0-9]{4,8}$/ },
+          signatureUrl: { type: "string", maxLength: 2048 },
+          location: deliveryEventSchema.location,
+        },
+      }),
+      async (req, res) => {
+        const { recipientName, signatureUrl, otp } = req.body;
+
+        if (!recipientName || !otp) {
+          return res
+            .status(400)
+            .send({ message: "Recipient name and OTP are required." });
+        }
+
+        try {
+          const delivery = await findCourierDelivery(req, res);
+          if (!delivery) return;
+          if (delivery.status !== "out_for_delivery") {
+            return res.status(409).send({
+              code: "DELIVERY_NOT_OUT_FOR_DELIVERY",
+              message: "Mark the delivery out for delivery before handoff.",
+            });
+          }
+          // Every try uses up an attempt before the code is compared, so
+          // concurrent guesses can't get past the limit
+          const attempt = await deliveriesCollection.findOneAndUpdate(
+            { _id: delivery._id, otpAttempts: { $lt: maxOtpAttempts } },
+            { $inc: { otpAttempts: 1 } }
+          );
+          if (!attempt) {
+            return res.status(423).send({
+              code: "OTP_LOCKED",
+              message: "Too many wrong OTPs. Ask the library to reset it.",
+            });
+          }
+
+          if (String(otp) !== attempt.otp?.code) {
+            return res
+              .status(400)
+              .send({ code: "INVALID_OTP", message: "Invalid delivery OTP." });
+          }
+
+          const order = await ordersCollection.findOne({
+            _id: delivery.orderId,
+          });
+          const transition = await transitionOrderStatus(order, "delivered", {
+            actor: req.tokenEmail,
+            role: req.userRole,
+            note: `Received by ${recipientName}`,
+          });
+          if (transition.error) {
+            return res.status(transition.error.status).send({
+              code: transition.error.code,
+              message: transition.error.message,
+            });
+          }
+
+          const now = new Date();
+          await deliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+              $set: {
+                status: "delivered",
+                deliveredAt: now,
+                proofOfDelivery: {
+                  recipientName,
+                  signatureUrl: signatureUrl || null,
+                  otpVerified: true,
+                  at: now,
+                },
+              },
+              $unset: { otp: "" },
+              $push: {
+                events: {
+                  status: "delivered",
+                  note: `Received by ${recipientName}`,
+                  location: req.body.location || null,
+                  actorEmail: req.tokenEmail,
+                  at: now,
+                },
+              },
+            }
+          );
+
+          res.send({ acknowledged: true, status: "delivered" });
+        } catch (error) {
+          console.error("Error recording proof of delivery:", error);
+          res.status(500).send({ message: "Failed to complete delivery." });
+        }
+      }
+    );
+
+    app.post(
+      "/deliveries/:id/reset-otp",
+      verifyJWT,
+      verifyLibrarian,
+      async (req, res) => {
+        try {
+          const delivery = await deliveriesCollection.findOne({
+            _id: new ObjectId(req.params.id),
+          });
+          if (!delivery) {
+            return res.status(404).send({ message: "Delivery not found." });
+          }
+          const order = await ordersCollection.findOne({
+            _id: delivery.orderId,
+          });
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              message: "Forbidden: Order is not for one of your books.",
+            });
+          }
+          if (!["dispatched", "out_for_delivery"].includes(delivery.status)) {
+            return res.status(409).send({
+              code: "DELIVERY_NOT_IN_TRANSIT",
+              message: "Only an in-transit delivery has an OTP.",
+            });
+          }
+
+          await deliveriesCollection.updateOne(
+            { _id: delivery._id },
+            {
+              $set: {
+                otp: { code: generateDeliveryOtp(), generatedAt: new Date() },
+                otpAttempts: 0,
+              },
+            }
+          );
+          // The code itself stays out of the log
+          await recordAudit(req, {
+            action: "delivery.otp_reset",
+            target: { type: "delivery", id: req.params.id },
+          });
+          res.send({ acknowledged: true });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to reset delivery OTP." });
+        }
+      }
+    );
+
+    app.get("/orders/:orderId/tracking", verifyJWT, async (req, res) => {
+      const orderId = req.params.orderId;
+
+      try {
+        const order = await ordersCollection.findOne(
+          { _id: new ObjectId(orderId) },
+          { projection: { email: 1, status: 1 } }
+        );
+        if (!order) {
+          return res.status(404).send({ message: "Order not found." });
+        }
+        const isOwner = order.email === req.tokenEmail;
+        if (!isOwner) {
+          const requester = await getUserRole(req.tokenEmail);
+          if (requester?.role !== "admin") {
+            return res
+              .status(403)
+              .send({ message: "Forbidden: Order does not belong to user." });
+          }
+        }
+
+        const delivery = await deliveriesCollection.findOne(
+          { orderId: order._id },
+          { sort: { assignedAt: -1 } }
+        );
+        if (!delivery) {
+          return res.send({ orderId, status: order.status, delivery: null });
+        }
+
+        const courier = await usersCollection.findOne(
+          { email: delivery.courierEmail },
+          { projection: { name: 1 } }
+        );
+        res.send({
+          orderId,
+          status: order.status,
+          delivery: {
+            _id: delivery._id,
+            status: delivery.status,
+            courierName: courier?.name || null,
+            events: delivery.events,
+            proofOfDelivery: delivery.proofOfDelivery || null,
+            // Only the customer sees the code they hand to the courier
+            deliveryOtp: isOwner ? delivery.otp?.code || null : null,
+          },
+        });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to fetch order tracking." });
+      }
+    });
+
+    // lending: a loan is an order with orderType "loan" whose price is the deposit.
+    // One copy is held from checkout until the return is received, and the loan
+    // clock starts on delivery
+    const dayMs = 24 * 60 * 60 * 1000;
+    const lendingDefaults = {
+      enabled: false,
+      copies: 0,
+      loanPeriodDays: 14,
+      maxRenewals: 1,
+      deposit: 0,
+      dailyLateFee: 0,
+    };
+    const openLoanStatuses = ["requested", "active", "overdue"];
+
+    const getLendingTerms = (book) => ({
+      ...lendingDefaults,
+      activeLoans: 0,
+      ...book.lending,
+    });
+
+    const getAvailableCopies = (book) => {
+      const terms = getLendingTerms(book);
+      return Math.max(0, terms.copies - terms.activeLoans);
+    };
+
+    const getLoanStartFields = (order, now = new Date()) => ({
+      "loan.status": "active",
+      "loan.checkoutDate": now,
+      "loan.dueDate": new Date(
+        now.getTime() + order.loan.loanPeriodDays * dayMs
+      ),
+    });
+
+    const getDaysOverdue = (loan, now = new Date()) =>
+      loan.dueDate && now > loan.dueDate
+        ? Math.ceil((now - new Date(loan.dueDate)) / dayMs)
+        : 0;
+
+    const getOutstandingLateFee = (loan) =>
+      roundMoney(
+        Math.max(
+          0,
+          (loan.lateFee || 0) -
+            (loan.lateFeePaid || 0) -
+            (loan.lateFeeDeducted || 0)
+        )
+      );
+
+    // Same conditional-update idea as reserveStock: the copy count can't be overrun
+    const reserveLoanCopy = async (book) => {
+      const result = await booksCollection.updateOne(
+        {
+          _id: book._id,
+          "lending.enabled": true,
+          $expr: {
+            $lt: [
+              { $ifNull: ["$lending.activeLoans", 0] },
+              { $ifNull: ["$lending.copies", 0] },
+            ],
+          },
+        },
+        { $inc: { "lending.activeLoans": 1 } }
+      );
+      if (result.modifiedCount === 0) {
+        throw httpError(
+          409,
+          "NO_COPIES_AVAILABLE",
+          `No copies of "${book.bookTitle}" are available to borrow.`
+        );
+      }
+    };
+
+    // Flipping copyReserved first gives the copy back at most once per loan
+    const releaseLoanCopy = async (order) => {
+      const result = await ordersCollection.updateOne(
+        { _id: order._id, copyReserved: true },
+        { $set: { copyReserved: false } }
+      );
+      if (result.modifiedCount === 0) return;
+      await booksCollection.updateOne(
+        {
+          _id: new ObjectId(getOrderItems(order)[0].bookId),
+          "lending.activeLoans": { $gt: 0 },
+        },
+        { $inc: { "lending.activeLoans": -1 } }
+      );
+    };
+
+    const createLoanCheckoutSession = async (order) => {
+      const [item] = getOrderItems(order);
+      const book = await booksCollection.findOne({
+        _id: new ObjectId(item.bookId),
+      });
+      if (!book || book.status !== "published" || book.archivedAt) {
+        throw httpError(
+          409,
+          "BOOK_UNAVAILABLE",
+          "This book is not available to borrow."
+        );
+      }
+      const reserved = !order.copyReserved;
+      if (reserved) await reserveLoanCopy(book);
+
+      try {
+        const orderId = order._id.toHexString();
+        const session = await stripe.checkout.sessions.create({
+          line_items: [
+            ...(order.loan.deposit > 0
+              ? [
+                  toStripeLineItem(
+                    `Loan deposit: ${item.bookTitle}`,
+                    order.loan.deposit,
+                    1
+                  ),
+                ]
+              : []),
+            ...(order.shippingFee > 0
+              ? [toStripeLineItem("Shipping", order.shippingFee, 1)]
+              : []),
+          ],
+          customer_email: order.email,
+          mode: "payment",
+          client_reference_id: orderId,
+          metadata: { orderId },
+          payment_intent_data: { metadata: { orderId } },
+          success_url: `${process.env.CLIENT_DOMAIN}/payment/${orderId}?status=success&session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-loans?status=cancelled&orderId=${orderId}`,
+        });
+        await ordersCollection.updateOne(
+          { _id: order._id, payment_status: "unpaid" },
+          {
+            $set: {
+              stripeSessionId: session.id,
+              ...(reserved && { copyReserved: true }),
+            },
+          }
+        );
+        if (order.stripeSessionId) {
+          await stripe.checkout.sessions
+            .expire(order.stripeSessionId)
+            .catch(() => {});
+        }
+        return session;
+      } catch (error) {
+        if (reserved) {
+          await booksCollection.updateOne(
+            { _id: book._id },
+            { $inc: { "lending.activeLoans": -1 } }
+          );
+        }
+        throw error;
+      }
+    };
+
+    app.post(
+      "/loans",
+      verifyJWT,
+      validate({
+        body: {
+          bookId: { type: "objectId", required: true },
+          addressId: { type: "objectId" },
+          shippingAddress: { type: "object", fields: addressSchema },
+        },
+      }),
+      async (req, res) => {
+        const { bookId, addressId, shippingAddress } = req.body;
+        try {
+          const book = await booksCollection.findOne({
+            _id: new ObjectId(bookId),
+          });
+          if (!book || book.status !== "published" || book.archivedAt) {
+            return res.status(404).send({ message: "Book not found." });
+          }
+          const terms = getLendingTerms(book);
+          if (!terms.enabled) {
+            return res.status(409).send({
+              code: "BOOK_NOT_LENDABLE",
+              message: "This book can only be bought, not borrowed.",
+            });
+          }
+          if (getAvailableCopies(book) < 1) {
+            return res.status(409).send({
+              code: "NO_COPIES_AVAILABLE",
+              message: "All copies of this book are currently on loan.",
+            });
+          }
+          const openLoan = await ordersCollection.findOne(
+            {
+              orderType: "loan",
+              email: req.tokenEmail,
+              bookId,
+              status: { $ne: "cancelled" },
+              "loan.status": { $in: openLoanStatuses },
+            },
+            { projection: { _id: 1 } }
+          );
+          if (openLoan) {
+            return res.status(409).send({
+              code: "ALREADY_BORROWED",
+              message: "You already have an open loan for this book.",
+              orderId: openLoan._id,
+            });
+          }
+
+          const { address, errors } = await resolveShippingAddress(
+            req.tokenEmail,
+            { addressId, shippingAddress }
+          );
+          if (errors.length) {
+            return res.status(400).send({
+              code: "INVALID_ADDRESS",
+              message: "Invalid shipping address.",
+              details: errors,
+            });
+          }
+          const deposit = roundMoney(terms.deposit);
+          const shipping = await calculateShippingFee(deposit, address);
+          const order = buildOrder({
+            email: req.tokenEmail,
+            pricing: {
+              items: [
+                {
+                  bookId,
+                  bookTitle: book.bookTitle,
+                  unitPrice: deposit,
+                  quantity: 1,
+                  lineTotal: deposit,
+                  image: book.image || null,
+                  librarianEmail: getBookOwnerEmail(book),
+                },
+              ],
+              subtotal: deposit,
+            },
+            address,
+            shipping,
+            extra: {
+              orderType: "loan",
+              copyReserved: false,
+              loan: {
+                status: "requested",
+                loanPeriodDays: terms.loanPeriodDays,
+                maxRenewals: terms.maxRenewals,
+                deposit,
+                dailyLateFee: terms.dailyLateFee,
+                renewals: 0,
+                checkoutDate: null,
+                dueDate: null,
+                returnedAt: null,
+                lateFee: 0,
+                lateFeePaid: 0,
+                lateFeeDeducted: 0,
+              },
+            },
+          });
+          // Nothing to charge: hold the copy before the order exists and treat it as paid
+          if (order.totalAmount <= 0) {
+            await reserveLoanCopy(book);
+            order.copyReserved = true;
+            const result = await ordersCollection
+              .insertOne(order)
+              .catch(async (error) => {
+                await booksCollection.updateOne(
+                  { _id: book._id },
+                  { $inc: { "lending.activeLoans": -1 } }
+                );
+                throw error;
+              });
+            order._id = result.insertedId;
+            await notify(req.tokenEmail, "order_created", { order });
+            await markOrderPaid(order._id, { id: null, payment_intent: null });
+            return res.send({ orderId: order._id, url: null, paid: true });
+          }
+
+          const result = await ordersCollection.insertOne(order);
+          order._id = result.insertedId;
+          // A loan that never reached Stripe (e.g. the last copy went) is discarded
+          const session = await createLoanCheckoutSession(order).catch(
+            async (error) => {
+              await ordersCollection.deleteOne({ _id: order._id });
+              throw error;
+            }
+          );
+          await notify(req.tokenEmail, "order_created", { order });
+          res.send({ orderId: order._id, url: session.url, paid: false });
+        } catch (error) {
+          if (error.status) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
+          }
+          console.error("Error creating loan:", error);
+          res.status(500).send({ message: "Failed to create loan." });
+        }
+      }
+    );
+
+    const loanListQuerySchema = {
+      status: {
+        type: "string",
+        enum: [...openLoanStatuses, "returned"],
+      },
+      page: { type: "number", integer: true, min: 0 },
+      size: { type: "number", integer: true, min: 1, max: 100 },
+    };
+
+    const findLoans = async (query, req) => {
+      const page = parseInt(req.query.page) || 0;
+      const size = parseInt(req.query.size) || 20;
+      const loanQuery = {
+        ...query,
+        orderType: "loan",
+        // Cancelled loan orders never reached the borrower
+        status: { $ne: "cancelled" },
+        ...(req.query.status && { "loan.status": req.query.status }),
+      };
+      const [result, count] = await Promise.all([
+        ordersCollection
+          .find(loanQuery)
+          .sort({ "loan.dueDate": 1, orderDate: -1 })
+          .skip(page * size)
+          .limit(size)
+          .toArray(),
+        ordersCollection.countDocuments(loanQuery),
+      ]);
+      return {
+        result: result.map((order) => ({
+          ...order,
+          loan: {
+            ...order.loan,
+            outstandingLateFee: getOutstandingLateFee(order.loan),
+          },
+        })),
+        count,
+      };
+    };
+
+    app.get(
+      "/my-loans",
+      verifyJWT,
+      validate({ query: loanListQuerySchema }),
+      async (req, res) => {
+        try {
+          res.send(await findLoans({ email: req.tokenEmail }, req));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch loans." });
+        }
+      }
+    );
+
+    app.get(
+      "/librarian/loans",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ query: loanListQuerySchema }),
+      async (req, res) => {
+        const query =
+          req.userRole === "admin" ? {} : { librarianEmail: req.tokenEmail };
+        try {
+          res.send(await findLoans(query, req));
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch loans." });
+        }
+      }
+    );
+
+    // Renewing is refused once the loan is overdue or out of renewals
+    app.patch("/loans/:id/renew", verifyJWT, async (req, res) => {
+      try {
+        const order = await ordersCollection.findOneAndUpdate(
+          {
+            _id: new ObjectId(req.params.id),
+            email: req.tokenEmail,
+            orderType: "loan",
+            "loan.status": "active",
+            "loan.dueDate": { $gt: new Date() },
+            $expr: { $lt: ["$loan.renewals", "$loan.maxRenewals"] },
+          },
+          [
+            {
+              $set: {
+                "loan.dueDate": {
+                  $add: [
+                    "$loan.dueDate",
+                    { $multiply: ["$loan.loanPeriodDays", dayMs] },
+                  ],
+                },
+                "loan.renewals": { $add: ["$loan.renewals", 1] },
+                "loan.lastRenewedAt": "$$NOW",
+              },
+            },
+          ],
+          { returnDocument: "after" }
+        );
+        if (!order) {
+          return res.status(409).send({
+            code: "LOAN_NOT_RENEWABLE",
+            message:
+              "Only your active loans that are not overdue and have renewals left can be renewed.",
+          });
+        }
+        res.send({
+          acknowledged: true,
+          dueDate: order.loan.dueDate,
+          renewals: order.loan.renewals,
+          maxRenewals: order.loan.maxRenewals,
+        });
+      } catch (error) {
+        res.status(500).send({ message: "Failed to renew loan." });
+      }
+    });
+
+    // The deposit refund is claimed by moving depositRefundStatus to "refunding";
+    // a Stripe failure leaves it "pending" for PATCH /loans/:id/deposit-refund
+    const refundLoanDeposit = async (order, actor) => {
+      const amount = order.loan.depositRefundDue;
+      let refund;
+      try {
+        refund = await refundOrderPayment(order, {
+          amount,
+          reason: "Loan deposit returned",
+          actor,
+        });
+      } catch (error) {
+        console.error("Loan deposit refund failed:", error);
+        refund = {
+          error: {
+            status: 502,
+            code: "REFUND_FAILED",
+            message: "The deposit refund could not be issued.",
+          },
+        };
+      }
+      await ordersCollection.updateOne(
+        { _id: order._id, "loan.depositRefundStatus": "refunding" },
+        {
+          $set: refund.error
+            ? {
+                "loan.depositRefundStatus": "pending",
+                "loan.depositRefundError": refund.error.message,
+              }
+            : {
+                "loan.depositRefundStatus": "refunded",
+                "loan.depositRefunded": amount,
+                "loan.depositRefundError": null,
+              },
+        }
+      );
+      return refund;
+    };
+
+    // Frees the copy, settles late fees from the deposit and refunds the rest
+    app.patch(
+      "/loans/:id/return",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ body: { note: { type: "string", maxLength: 1000 } } }),
+      async (req, res) => {
+        const id = req.params.id;
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+            orderType: "loan",
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Loan not found." });
+          }
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              code: "NOT_OWNER",
+              message: "This loan belongs to another library.",
+            });
+          }
+
+          const now = new Date();
+          const daysOverdue = getDaysOverdue(order.loan, now);
+          const lateFee = roundMoney(daysOverdue * order.loan.dailyLateFee);
+          const owed = getOutstandingLateFee({ ...order.loan, lateFee });
+          const deducted = Math.min(owed, order.loan.deposit);
+          const depositRefund = roundMoney(order.loan.deposit - deducted);
+          const refundDue =
+            depositRefund > 0 &&
+            refundableStatuses.includes(order.payment_status);
+
+          // The order itself moves delivered → returned in the same update
+          const returned = await ordersCollection.findOneAndUpdate(
+            {
+              _id: order._id,
+              status: "delivered",
+              "loan.status": { $in: ["active", "overdue"] },
+            },
+            {
+              $push: {
+                statusHistory: {
+                  from: "delivered",
+                  status: "returned",
+                  actorEmail: req.tokenEmail,
+                  actorRole: req.userRole,
+                  note: req.body.note || "Loan returned",
+                  at: now,
+                },
+              },
+              $set: {
+                status: "returned",
+                "loan.status": "returned",
+                "loan.returnedAt": now,
+                "loan.receivedBy": req.tokenEmail,
+                "loan.returnNote": req.body.note || null,
+                "loan.daysOverdue": daysOverdue,
+                "loan.lateFee": lateFee,
+                "loan.lateFeeDeducted": deducted,
+                "loan.depositRefundDue": refundDue ? depositRefund : 0,
+                "loan.depositRefunded": 0,
+                "loan.depositRefundStatus": refundDue ? "refunding" : "none",
+              },
+            },
+            { returnDocument: "after" }
+          );
+          if (!returned) {
+            return res.status(409).send({
+              code: "LOAN_NOT_ACTIVE",
+              message: "Only books currently on loan can be returned.",
+            });
+          }
+          await releaseLoanCopy(order);
+
+          const refund = refundDue
+            ? await refundLoanDeposit(returned, req.tokenEmail)
+            : null;
+
+          const outstandingLateFee = roundMoney(owed - deducted);
+          await recordAudit(req, {
+            action: "loan.return",
+            target: { type: "order", id, ownerEmail: order.email },
+            before: { status: order.status, loanStatus: order.loan.status },
+            after: { status: "returned", loanStatus: "returned" },
+            metadata: { daysOverdue, lateFee, deducted, depositRefund },
+          });
+          await notify(order.email, "loan_returned", {
+            order,
+            depositRefund,
+            outstandingLateFee,
+          });
+          res.send({
+            acknowledged: true,
+            daysOverdue,
+            lateFee,
+            lateFeeDeducted: deducted,
+            depositRefund,
+            depositRefundStatus: !refundDue
+              ? "none"
+              : refund.error
+              ? "pending"
+              : "refunded",
+            refundError: refund?.error || null,
+            outstandingLateFee,
+          });
+        } catch (error) {
+          console.error("Error returning loan:", error);
+          res.status(500).send({ message: "Failed to record return." });
+        }
+      }
+    );
+
+    app.patch(
+      "/loans/:id/deposit-refund",
+      verifyJWT,
+      verifyLibrarian,
+      async (req, res) => {
+        const id = req.params.id;
+        try {
+          const order = await ordersCollection.findOne({
+            _id: new ObjectId(id),
+            orderType: "loan",
+          });
+          if (!order) {
+            return res.status(404).send({ message: "Loan not found." });
+          }
+          if (!(await authorizeOrderAccess(req, order))) {
+            return res.status(403).send({
+              code: "NOT_OWNER",
+              message: "This loan belongs to another library.",
+            });
+          }
+          const claimed = await ordersCollection.findOneAndUpdate(
+            { _id: order._id, "loan.depositRefundStatus": "pending" },
+            { $set: { "loan.depositRefundStatus": "refunding" } },
+            { returnDocument: "after" }
+          );
+          if (!claimed) {
+            return res.status(409).send({
+              code: "NO_REFUND_PENDING",
+              message: "This loan has no failed deposit refund to retry.",
+            });
+          }
+          const refund = await refundLoanDeposit(claimed, req.tokenEmail);
+          if (refund.error) {
+            return res.status(refund.error.status).send({
+              code: refund.error.code,
+              message: refund.error.message,
+            });
+          }
+          await recordAudit(req, {
+            action: "loan.deposit_refund",
+            target: { type: "order", id, ownerEmail: order.email },
+            before: { depositRefundStatus: "pending" },
+            after: { depositRefundStatus: "refunded" },
+            metadata: { amount: claimed.loan.depositRefundDue },
+          });
+          res.send({
+            acknowledged: true,
+            depositRefunded: claimed.loan.depositRefundDue,
+            refund: refund.refund,
+          });
+        } catch (error) {
+          console.error("Error retrying deposit refund:", error);
+          res.status(500).send({ message: "Failed to refund deposit." });
+        }
+      }
+    );
+
+    // Flags loans past their due date and recomputes their fees from the days late.
+    // Run by Vercel Cron and by admins; each loan is flipped to overdue by its own
+    // conditional update, so overlapping runs notify every borrower only once
+    const accrueLateFees = async (now = new Date()) => {
+      const daysOverdue = {
+        $ceil: { $divide: [{ $subtract: [now, "$loan.dueDate"] }, dayMs] },
+      };
+      const lateFeeFields = {
+        "loan.daysOverdue": daysOverdue,
+        "loan.lateFee": {
+          $round: [{ $multiply: [daysOverdue, "$loan.dailyLateFee"] }, 2],
+        },
+      };
+      let newlyOverdue = 0;
+      for (;;) {
+        const order = await ordersCollection.findOneAndUpdate(
+          {
+            orderType: "loan",
+            "loan.status": "active",
+            "loan.dueDate": { $lt: now },
+          },
+          [{ $set: { "loan.status": "overdue", ...lateFeeFields } }],
+          { returnDocument: "after" }
+        );
+        if (!order) break;
+        newlyOverdue += 1;
+        await notify(order.email, "loan_overdue", { order });
+      }
+      const result = await ordersCollection.updateMany(
+        {
+          orderType: "loan",
+          "loan.status": "overdue",
+          "loan.dueDate": { $lt: now },
+        },
+        [{ $set: lateFeeFields }]
+      );
+      return { overdue: result.matchedCount, newlyOverdue };
+    };
+
+    // Vercel Cron sends CRON_SECRET as a bearer token (schedule in vercel.json)
+    app.get("/cron/loans/overdue", async (req, res) => {
+      const secret = process.env.CRON_SECRET;
+      if (!secret || req.headers.authorization !== `Bearer ${secret}`) {
+        return res.status(401).send({ message: "Unauthorized cron request." });
+      }
+      try {
+        res.send(await accrueLateFees());
+      } catch (error) {
+        console.error("Error processing overdue loans:", error);
+        res.status(500).send({ message: "Failed to process overdue loans." });
+      }
+    });
+
+    app.post(
+      "/admin/loans/process-overdue",
+      verifyJWT,
+      verifyAdmin,
+      async (req, res) => {
+        try {
+          res.send(await accrueLateFees());
+        } catch (error) {
+          console.error("Error processing overdue loans:", error);
+          res.status(500).send({ message: "Failed to process overdue loans." });
+        }
+      }
+    );
+
+    // late fees are paid through their own Stripe session, keyed by loanOrderId
+    // rather than orderId so the order's own payment reconciliation ignores it
+    const markLateFeePaid = async (session) => {
+      const { loanOrderId } = session.metadata || {};
+      if (!loanOrderId || !ObjectId.isValid(loanOrderId)) {
+        return { modifiedCount: 0 };
+      }
+      const amount = roundMoney((session.amount_total || 0) / 100);
+      return ordersCollection.updateOne(
+        {
+          _id: new ObjectId(loanOrderId),
+          "loan.lateFeePayments.sessionId": { $ne: session.id },
+        },
+        {
+          $inc: { "loan.lateFeePaid": amount },
+          $push: {
+            "loan.lateFeePayments": {
+              sessionId: session.id,
+              paymentIntentId: session.payment_intent,
+              amount,
+              paidAt: new Date(),
+            },
+          },
+        }
+      );
+    };
+
+    app.post("/loans/:id/late-fee/checkout", verifyJWT, async (req, res) => {
+      try {
+        const order = await ordersCollection.findOne({
+          _id: new ObjectId(req.params.id),
+          orderType: "loan",
+          email: req.tokenEmail,
+        });
+        if (!order) {
+          return res.status(404).send({ message: "Loan not found." });
+        }
+        const outstanding = getOutstandingLateFee(order.loan);
+        if (outstanding <= 0) {
+          return res.status(409).send({
+            code: "NO_LATE_FEE_DUE",
+            message: "There is no late fee to pay on this loan.",
+          });
+        }
+
+        const loanOrderId = order._id.toHexString();
+        const metadata = { loanOrderId, purpose: "late_fee" };
+        const session = await stripe.checkout.sessions.create({
+          line_items: [
+            toStripeLineItem(`Late fee: ${order.bookTitle}`, outstanding, 1),
+          ],
+          customer_email: order.email,
+          mode: "payment",
+          client_reference_id: loanOrderId,
+          metadata,
+          payment_intent_data: { metadata },
+          success_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-loans?status=late_fee_paid&orderId=${loanOrderId}&session_id={CHECKOUT_SESSION_ID}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-loans?orderId=${loanOrderId}`,
+        });
+        res.send({ url: session.url, amount: outstanding });
+      } catch (error) {
+        console.error("Error creating late fee checkout:", error);
+        res.status(500).send({ message: "Failed to start late fee payment." });
+      }
+    });
+
+    app.patch(
+      "/loans/:id/late-fee/payment-success",
+      verifyJWT,
+      validate({
+        body: { sessionId: { type: "string", required: true, maxLength: 255 } },
+      }),
+      async (req, res) => {
+        try {
+          const order = await ordersCollection.findOne(
+            {
+              _id: new ObjectId(req.params.id),
+              orderType: "loan",
+              email: req.tokenEmail,
+            },
+            { projection: { _id: 1 } }
+          );
+          if (!order) {
+            return res.status(404).send({ message: "Loan not found." });
+          }
+          const session = await stripe.checkout.sessions.retrieve(
+            req.body.sessionId
+          );
+          if (
+            session.metadata?.loanOrderId !== order._id.toHexString() ||
+            session.payment_status !== "paid"
+          ) {
+            return res.status(400).send({
+              message: "Payment session does not match a paid late fee.",
+            });
+          }
+          // The webhook may already have recorded this payment
+          const result = await markLateFeePaid(session);
+          res.send({
+            acknowledged: true,
+            alreadyPaid: result.modifiedCount === 0,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to record late fee." });
+        }
+      }
+    );
+
+    // analytics: every series is bucketed by day/week/month within [from, to]
+    const statsIntervals = ["day", "week", "month"];
+
+    const statsQuerySchema = {
+      from: { type: "date" },
+      to: { type: "date" },
+      interval: { type: "string", enum: statsIntervals },
+      limit: { type: "number", integer: true, min: 1, max: 50 },
+    };
+
+    const parseStatsQuery = (query) => {
+      const interval = query.interval || "day";
+      const to = query.to ? new Date(query.to) : new Date();
+      const from = query.from
+        ? new Date(query.from)
+        : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+      const limit = Math.min(parseInt(query.limit) || 10, 50);
+      if (
+        !statsIntervals.includes(interval) ||
+        isNaN(from) ||
+        isNaN(to) ||
+        from > to
+      ) {
+        return { error: "Invalid date range or interval." };
+      }
+      return { from, to, interval, limit };
+    };
+
+    const toDateExpression = (field) => ({
+      $convert: { input: field, to: "date", onError: null, onNull: null },
+    });
+
+    const bucketBy = (field, interval) => ({
+      $dateTrunc: { date: field, unit: interval, startOfWeek: "monday" },
+    });
+
+    const bucketSeries = (dateField, interval, fields) => [
+      { $group: { _id: bucketBy(dateField, interval), ...fields } },
+      { $sort: { _id: 1 } },
+      { $set: { period: "$_id" } },
+      { $unset: "_id" },
+    ];
+
+    // Net of refunds; legacy orders only carry the book price
+    const netRevenueExpression = {
+      $subtract: [
+        { $toDouble: { $ifNull: ["$totalAmount", "$price"] } },
+        { $ifNull: ["$refundedAmount", 0] },
+      ],
+    };
+
+    // Legacy single-book orders have no items array, so they count as one line
+    const orderLinesExpression = {
+      $ifNull: [
+        "$items",
+        [
+          {
+            bookId: "$bookId",
+            bookTitle: "$bookTitle",
+            quantity: { $ifNull: ["$quantity", 1] },
+            lineTotal: { $toDouble: "$price" },
+          },
+        ],
+      ],
+    };
+
+    // Librarian stats cover orders for their books, matched the same way as GET /orders
+    const getStatsScope = async (librarianEmail) => {
+      if (!librarianEmail) return { orderMatch: {}, reviewMatch: {} };
+
+      const books = await booksCollection
+        .find({ librarianEmail })
+        .project({ _id: 1 })
+        .toArray();
+      const bookIds = books.map((book) => book._id.toHexString());
+      return {
+        orderMatch: {
+          $or: [
+            { librarianEmail },
+            { bookId: { $in: bookIds } },
+            { "items.bookId": { $in: bookIds } },
+          ],
+        },
+        reviewMatch: { bookId: { $in: books.map((book) => book._id) } },
+      };
+    };
+
+    const buildStats = async (
+      { from, to, interval, limit },
+      scope,
+      isAdmin
+    ) => {
+      const paidStatus = { $in: invoicePaymentStatuses };
+      // A loan's payment is a deposit refunded on return, so loans are not sales
+      const salesOrders = { ...scope.orderMatch, orderType: { $ne: "loan" } };
+      const paidInRange = {
+        ...salesOrders,
+        payment_status: paidStatus,
+        paidAt: { $gte: from, $lte: to },
+      };
+
+      const [revenue, ordersByStatus, [sales], newCustomers, ratingTrend] =
+        await Promise.all([
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange },
+              ...bucketSeries("$paidAt", interval, {
+                revenue: { $sum: netRevenueExpression },
+                orders: { $sum: 1 },
+              }),
+              { $set: { revenue: { $round: ["$revenue", 2] } } },
+            ])
+            .toArray(),
+          ordersCollection
+            .aggregate([
+              { $match: scope.orderMatch },
+              { $set: { placedAt: toDateExpression("$orderDate") } },
+              { $match: { placedAt: { $gte: from, $lte: to } } },
+              { $group: { _id: "$status", count: { $sum: 1 } } },
+              { $sort: { count: -1 } },
+              { $project: { _id: 0, status: "$_id", count: 1 } },
+            ])
+            .toArray(),
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange },
+              {
+                $project: {
+                  librarianEmail: 1,
+                  netRevenue: netRevenueExpression,
+                  shippingFee: { $ifNull: ["$shippingFee", 0] },
+                  line: {
+                    $map: {
+                      input: orderLinesExpression,
+                      as: "line",
+                      in: {
+                        $mergeObjects: [
+                          "$$line",
+                          {
+                            lineTotal: {
+                              $ifNull: [
+                                "$$line.lineTotal",
+                                {
+                                  $multiply: [
+                                    "$$line.unitPrice",
+                                    "$$line.quantity",
+                                  ],
+                                },
+                              ],
+                            },
+                          },
+                        ],
+                      },
+                    },
+                  },
+                },
+              },
+              { $set: { grossLines: { $sum: "$line.lineTotal" } } },
+              { $unwind: "$line" },
+              {
+                $lookup: {
+                  from: "books",
+                  let: {
+                    bookId: {
+                      $convert: {
+                        input: "$line.bookId",
+                        to: "objectId",
+                        onError: null,
+                        onNull: null,
+                      },
+                    },
+                  },
+                  pipeline: [
+                    { $match: { $expr: { $eq: ["$_id", "$$bookId"] } } },
+                    { $project: { category: 1, librarianEmail: 1 } },
+                  ],
+                  as: "book",
+                },
+              },
+              {
+                $set: {
+                  book: { $first: "$book" },
+                  // The line's share of what the order earned after discounts and
+                  // refunds, matching the revenue series minus shipping
+                  lineTotal: {
+                    $cond: [
+                      { $gt: ["$grossLines", 0] },
+                      {
+                        $multiply: [
+                          {
+                            $max: [
+                              0,
+                              { $subtract: ["$netRevenue", "$shippingFee"] },
+                            ],
+                          },
+                          { $divide: ["$line.lineTotal", "$grossLines"] },
+                        ],
+                      },
+                      0,
+                    ],
+                  },
+                },
+              },
+              {
+                $facet: {
+                  topBooks: [
+                    {
+                      $group: {
+                        _id: "$line.bookId",
+                        bookTitle: { $first: "$line.bookTitle" },
+                        unitsSold: { $sum: "$line.quantity" },
+                        revenue: { $sum: "$lineTotal" },
+                      },
+                    },
+                    { $sort: { revenue: -1 } },
+                    { $limit: limit },
+                  ],
+                  topCategories: [
+                    {
+                      $group: {
+                        _id: { $ifNull: ["$book.category", "Uncategorized"] },
+                        unitsSold: { $sum: "$line.quantity" },
+                        revenue: { $sum: "$lineTotal" },
+                      },
+                    },
+                    { $sort: { revenue: -1 } },
+                    { $limit: limit },
+                  ],
+                  topLibrarians: [
+                    {
+                      $group: {
+                        _id: {
+                          $ifNull: ["$librarianEmail", "$book.librarianEmail"],
+                        },
+                        orders: { $addToSet: "$_id" },
+                        revenue: { $sum: "$lineTotal" },
+                      },
+                    },
+                    { $set: { orders: { $size: "$orders" } } },
+                    { $sort: { revenue: -1 } },
+                    { $limit: limit },
+                  ],
+                },
+              },
+            ])
+            .toArray(),
+          // A customer is new in the period of their first paid order
+          ordersCollection
+            .aggregate([
+              { $match: { ...salesOrders, payment_status: paidStatus } },
+              { $group: { _id: "$email", firstPaidAt: { $min: "$paidAt" } } },
+              { $match: { firstPaidAt: { $gte: from, $lte: to } } },
+              ...bucketSeries("$firstPaidAt", interval, {
+                count: { $sum: 1 },
+              }),
+            ])
+            .toArray(),
+          reviewsCollection
+            .aggregate([
+              {
+                $match: {
+                  ...scope.reviewMatch,
+                  createdAt: { $gte: from, $lte: to },
+                },
+              },
+              ...bucketSeries("$createdAt", interval, {
+                averageRating: { $avg: "$rating" },
+                reviews: { $sum: 1 },
+              }),
+              { $set: { averageRating: { $round: ["$averageRating", 2] } } },
+            ])
+            .toArray(),
+        ]);
+
+      const roundRevenue = ({ _id, revenue, ...rest }) => ({
+        ...rest,
+        revenue: roundMoney(revenue),
+      });
+      const stats = {
+        range: { from, to, interval },
+        totals: {
+          revenue: roundMoney(revenue.reduce((sum, b) => sum + b.revenue, 0)),
+          paidOrders: revenue.reduce((sum, b) => sum + b.orders, 0),
+        },
+        revenue,
+        ordersByStatus,
+        topBooks: sales.topBooks.map((book) => ({
+          bookId: book._id,
+          ...roundRevenue(book),
+        })),
+        topCategories: sales.topCategories.map((category) => ({
+          category: category._id,
+          ...roundRevenue(category),
+        })),
+        newCustomers,
+        ratingTrend,
+      };
+      if (!isAdmin) return stats;
+
+      stats.topLibrarians = sales.topLibrarians.map((librarian) => ({
+        librarianEmail: librarian._id,
+        ...roundRevenue(librarian),
+      }));
+      // Users created before signup dates were stored fall back to the _id timestamp
+      stats.newUsers = await usersCollection
+        .aggregate([
+          {
+            $set: {
+              joinedAt: {
+                $ifNull: [toDateExpression("$createdAt"), { $toDate: "$_id" }],
+              },
+            },
+          },
+          { $match: { joinedAt: { $gte: from, $lte: to } } },
+          ...bucketSeries("$joinedAt", interval, { count: { $sum: 1 } }),
+        ])
+        .toArray();
+      return stats;
+    };
+
+    app.get(
+      "/admin/stats",
+      verifyJWT,
+      verifyAdmin,
+      validate({ query: statsQuerySchema }),
+      async (req, res) => {
+        const range = parseStatsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ message: range.error });
+        }
+        try {
+          res.send(await buildStats(range, await getStatsScope(), true));
+        } catch (error) {
+          console.error("Error building admin stats:", error);
+          res.status(500).send({ message: "Failed to compute statistics." });
+        }
+      }
+    );
+
+    app.get(
+      "/librarian/stats",
+      verifyJWT,
+      verifyLibrarian,
+      validate({ query: statsQuerySchema }),
+      async (req, res) => {
+        const range = parseStatsQuery(req.query);
+        if (range.error) {
+          return res.status(400).send({ message: range.error });
+        }
+        try {
+          const scope = await getStatsScope(req.tokenEmail);
+          res.send(await buildStats(range, scope, false));
+        } catch (error) {
+          console.error("Error building librarian stats:", error);
+          res.status(500).send({ message: "Failed to compute statistics." });
+        }
+      }
+    );
+
+    // wishlist: entries only hold the book id and an optional target price; book
+    // details are joined live so prices and availability are never stale
+    const wishlistBookLookup = [
+      {
+        $lookup: {
+          from: "books",
+          let: {
+            bookId: {
+              $convert: {
+                input: "$bookId",
+                to: "objectId",
+                onError: null,
+                onNull: null,
+              },
+            },
+          },
+          pipeline: [
+            { $match: { $expr: { $eq: ["$_id", "$$bookId"] } } },
+            {
+              $project: {
+                bookTitle: 1,
+                authorName: 1,
+                image: 1,
+                category: 1,
+                price: 1,
+                stockQuantity: 1,
+                status: 1,
+                rating: 1,
+                archivedAt: 1,
+              },
+            },
+          ],
+          as: "book",
+        },
+      },
+      { $set: { book: { $first: "$book" } } },
+    ];
+
+    const isBookAvailable = (book) =>
+      book.status === "published" &&
+      !book.archivedAt &&
+      (typeof book.stockQuantity !== "number" || book.stockQuantity > 0);
+
+    app.post(
+      "/wishlist",
       verifyJWT,
-      verifyLibrarian,
+      validate({
+        body: {
+          userEmail: { type: "email", required: true },
+          bookId: { type: "objectId", required: true },
+          targetPrice: { type: "number", min: 0, nullable: true },
+          // Book details sent by older clients are accepted but not stored
+          bookTitle: { type: "string", maxLength: 300 },
+          authorName: { type: "string", maxLength: 200 },
+          image: { type: "string", maxLength: 2048 },
+          price: { type: "number", min: 0 },
+          category: { type: "string", maxLength: 100 },
+        },
+      }),
       async (req, res) => {
-        const id = req.params.id;
-        const { newStatus } = req.body;
-
-        const allowedStatuses = [
-          "shipped",
-          "delivered",
-          "pending",
-          "cancelled",
-        ];
-        if (!allowedStatuses.includes(newStatus)) {
-          return res.status(400).send({ message: "Invalid status update." });
+        const { userEmail, bookId, targetPrice } = req.body;
+        if (userEmail !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Wishlist user mismatch" });
         }
 
         try {
-          const result = await ordersCollection.updateOne(
-            { _id: new ObjectId(id) },
-            { $set: { status: newStatus } }
+          const book = await booksCollection.findOne(
+            { _id: new ObjectId(bookId), archivedAt: null },
+            { projection: { price: 1 } }
           );
+          if (!book) {
+            return res.status(404).send({ message: "Book not found." });
+          }
 
-          if (result.matchedCount === 0) {
-            return res.status(404).send({ message: "Order not found." });
+          const query = { userEmail, bookId };
+          const existing = await wishlistCollection.findOne(query);
+          if (existing) {
+            return res
+              .status(400)
+              .send({ message: "This book is already in your wishlist!" });
           }
 
-          res.send({ acknowledged: true, modifiedCount: result.modifiedCount });
+          const result = await wishlistCollection.insertOne({
+            ...query,
+            targetPrice: targetPrice ?? null,
+            priceWhenAdded: parseFloat(book.price) || 0,
+            createdAt: new Date(),
+          });
+          res.send(result);
         } catch (error) {
-          res.status(500).send({ message: "Failed to update order status." });
+          res.status(500).send({ message: "Failed to add to wishlist." });
         }
       }
     );
-    app.patch("/orders/cancel/:id", verifyJWT, async (req, res) => {
-      const id = req.params.id; // Best practice: verify that the order's email field matches req.tokenEmail before updating
-      const query = { _id: new ObjectId(id) };
-      const updateDoc = {
-        $set: { status: "cancelled", payment_status: "cancelled" },
-      };
-      const result = await ordersCollection.updateOne(query, updateDoc);
-      res.send(result);
-    });
-
-    app.post("/create-checkout-session", verifyJWT, async (req, res) => {
-      const { bookTitle, price, email, quantity, orderId } = req.body;
 
+    app.get("/wishlist/:email", verifyJWT, async (req, res) => {
+      const email = req.params.email;
       if (email !== req.tokenEmail) {
         return res
           .status(403)
-          .send({ message: "Forbidden: Checkout email mismatch" });
-      }
-
-      if (!orderId || !bookTitle || !price || !email) {
-        return res
-          .status(400)
-          .send({ error: "Missing required payment details." });
+          .send({ message: "Forbidden: Email does not match user" });
       }
-
       try {
-        const session = await stripe.checkout.sessions.create({
-          line_items: [
-            {
-              price_data: {
-                currency: "usd",
-                product_data: { name: bookTitle },
-                unit_amount: Math.round(price * 100),
-              },
-              quantity: quantity || 1,
-            },
-          ],
-          customer_email: email,
-          mode: "payment",
-          success_url: `${process.env.CLIENT_DOMAIN}/payment/${orderId}?status=success&session_id={CHECKOUT_SESSION_ID}`,
-          cancel_url: `${process.env.CLIENT_DOMAIN}/dashboard/my-orders?status=cancelled&orderId=${orderId}`,
-        });
+        const entries = await wishlistCollection
+          .aggregate([
+            { $match: { userEmail: email } },
+            ...wishlistBookLookup,
+            // Archived books stay saved but are hidden until restored
+            { $match: { book: { $ne: null }, "book.archivedAt": null } },
+            { $sort: { createdAt: -1, _id: -1 } },
+          ])
+          .toArray();
 
-        res.send({ url: session.url });
+        // Live book fields stay top-level so older clients keep working
+        const result = entries.map(({ book, ...entry }) => {
+          const price = parseFloat(book.price) || 0;
+          return {
+            ...entry,
+            bookTitle: book.bookTitle,
+            authorName: book.authorName,
+            image: book.image,
+            category: book.category,
+            rating: book.rating ?? null,
+            price,
+            stockQuantity: book.stockQuantity ?? null,
+            status: book.status,
+            available: isBookAvailable(book),
+            priceDropped:
+              typeof entry.priceWhenAdded === "number" &&
+              price < entry.priceWhenAdded,
+            atTargetPrice:
+              typeof entry.targetPrice === "number" &&
+              price <= entry.targetPrice,
+          };
+        });
+        res.send(result);
       } catch (error) {
-        res.status(500).send({ error: error.message });
+        res.status(500).send({ message: "Failed to fetch wishlist." });
       }
     });
 
     app.patch(
-      "/orders/payment-success/:orderId",
+      "/wishlist/:id",
       verifyJWT,
+      requireOwnership("wishlist"),
+      validate({
+        body: {
+          targetPrice: {
+            type: "number",
+            min: 0,
+            nullable: true,
+            required: true,
+          },
+        },
+      }),
       async (req, res) => {
-        const orderId = req.params.orderId;
-        const sessionId = req.body.sessionId;
-
         try {
-          if (sessionId) {
-            const session = await stripe.checkout.sessions.retrieve(sessionId);
-            if (session.payment_status !== "paid") {
-              return res
-                .status(400)
-                .send({ message: "Payment session status is not 'paid'." });
-            }
-          }
-
-          const result = await ordersCollection.updateOne(
-            { _id: new ObjectId(orderId) },
-            {
-              $set: {
-                payment_status: "paid",
-                status: "processing",
-                stripeSessionId: sessionId || "N/A",
-                paidAt: new Date(),
-              },
-            }
+          const result = await wishlistCollection.updateOne(
+            { _id: req.resource._id },
+            { $set: { targetPrice: req.body.targetPrice } }
           );
+          res.send(result);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update wishlist." });
+        }
+      }
+    );
 
-          if (result.modifiedCount === 1) {
-            res.send({ acknowledged: true, message: "Order updated to paid." });
-          } else {
-            res
-              .status(404)
-              .send({ message: "Order not found or already paid." });
+    // Adds the book to the cart and drops it from the wishlist
+    app.post(
+      "/wishlist/:id/move-to-cart",
+      verifyJWT,
+      requireOwnership("wishlist"),
+      validate({ body: { quantity: cartQuantityRule } }),
+      async (req, res) => {
+        const quantity = parseCartQuantity(req.body.quantity);
+        if (quantity === null) {
+          return res.status(400).send({
+            code: "INVALID_QUANTITY",
+            message: "Quantity must be a positive integer.",
+          });
+        }
+        try {
+          const { error } = await addToCart(
+            req.resource.userEmail,
+            req.resource.bookId,
+            quantity
+          );
+          if (error) {
+            return res
+              .status(error.status)
+              .send({ code: error.code, message: error.message });
           }
+          await wishlistCollection.deleteOne({ _id: req.resource._id });
+          res.send({
+            acknowledged: true,
+            bookId: req.resource.bookId,
+            quantity,
+          });
         } catch (error) {
-          res
-            .status(500)
-            .send({ message: "Failed to update order status.", error });
+          res.status(500).send({ message: "Failed to move book to cart." });
         }
       }
     );
 
-    app.post("/wishlist", verifyJWT, async (req, res) => {
-      const wishlistData = req.body;
-      if (wishlistData.userEmail !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Wishlist user mismatch" });
+    app.delete(
+      "/wishlist/:id",
+      verifyJWT,
+      requireOwnership("wishlist"),
+      async (req, res) => {
+        const id = req.params.id;
+        const result = await wishlistCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+        if (req.adminOverride) {
+          await recordAudit(req, {
+            action: "wishlist.delete",
+            target: { type: "wishlist", id },
+            before: req.resource,
+          });
+        }
+        res.send(result);
       }
+    );
 
-      const query = {
-        userEmail: wishlistData.userEmail,
-        bookId: wishlistData.bookId,
+    // reviews: books keep ratingSum/reviewCount over visible reviews and derive
+    // rating from them, so every change is an O(1) update instead of a rescan
+    const applyRatingDelta = (bookId, ratingDelta, countDelta) =>
+      booksCollection.updateOne({ _id: new ObjectId(bookId) }, [
+        {
+          $set: {
+            ratingSum: {
+              $add: [{ $ifNull: ["$ratingSum", 0] }, ratingDelta],
+            },
+            reviewCount: {
+              $max: [
+                0,
+                { $add: [{ $ifNull: ["$reviewCount", 0] }, countDelta] },
+              ],
+            },
+          },
+        },
+        {
+          $set: {
+            rating: {
+              $cond: [
+                { $gt: ["$reviewCount", 0] },
+                { $round: [{ $divide: ["$ratingSum", "$reviewCount"] }, 1] },
+                null,
+              ],
+            },
+          },
+        },
+      ]);
+
+    const reviewRatingRule = {
+      type: "number",
+      integer: true,
+      min: 1,
+      max: 5,
+    };
+    const reviewReportReasons = ["spam", "offensive", "off_topic", "other"];
+
+    // Voter and reporter emails stay server-side
+    const publicReviewProjection = { helpfulBy: 0, reports: 0 };
+
+    const reviewSortOptions = {
+      newest: { createdAt: -1, _id: -1 },
+      helpful: { helpfulCount: -1, createdAt: -1 },
+      rating_desc: { rating: -1, createdAt: -1 },
+      rating_asc: { rating: 1, createdAt: -1 },
+    };
+
+    const isVisibleReview = (review) => review.status !== "hidden";
+
+    const reviewIneligibleMessages = {
+      NOT_ORDERED: "Only customers who bought this book can review it.",
+      NOT_DELIVERED: "You can review this book once your order is delivered.",
+      ALREADY_REVIEWED: "You have already reviewed this book.",
+    };
+
+    // Reviewing needs a paid order for the book that has been delivered. Loans
+    // are deliberately not purchases: borrowers can't leave verified reviews
+    const getReviewEligibility = async (email, bookId) => {
+      const purchase = {
+        $or: [{ bookId }, { "items.bookId": bookId }],
+        email,
+        payment_status: "paid",
+        orderType: { $ne: "loan" },
       };
-      const existing = await wishlistCollection.findOne(query);
+      const [deliveredOrder, paidOrder, existingReview] = await Promise.all([
+        ordersCollection.findOne(
+          { ...purchase, status: "delivered" },
+          { projection: { _id: 1 } }
+        ),
+        ordersCollection.findOne(purchase, { projection: { _id: 1 } }),
+        reviewsCollection.findOne(
+          { bookId: new ObjectId(bookId), userId: email },
+          { projection: publicReviewProjection }
+        ),
+      ]);
 
-      if (existing) {
-        return res
-          .status(400)
-          .send({ message: "This book is already in your wishlist!" });
+      if (existingReview) {
+        return { canReview: false, reason: "ALREADY_REVIEWED", existingReview };
       }
+      if (!paidOrder) return { canReview: false, reason: "NOT_ORDERED" };
+      if (!deliveredOrder) return { canReview: false, reason: "NOT_DELIVERED" };
+      return { canReview: true, orderId: deliveredOrder._id };
+    };
 
-      const result = await wishlistCollection.insertOne(wishlistData);
-      res.send(result);
-    });
-    app.get("/wishlist/:email", verifyJWT, async (req, res) => {
-      const email = req.params.email;
-      if (email !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Email does not match user" });
-      }
-      const result = await wishlistCollection
-        .find({ userEmail: email })
-        .toArray();
-      res.send(result);
-    });
+    app.post(
+      "/reviews",
+      verifyJWT,
+      validate({
+        body: {
+          bookId: { type: "objectId", required: true },
+          userId: { type: "email" },
+          userName: { type: "string", maxLength: 200 },
+          rating: { ...reviewRatingRule, required: true },
+          reviewText: { type: "string", maxLength: 5000 },
+        },
+      }),
+      async (req, res) => {
+        const { bookId, userId, userName, rating, reviewText } = req.body;
+        // The reviewer is always the token holder; userId is kept for older clients
+        if (userId && userId !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Review user mismatch" });
+        }
 
-    app.delete("/wishlist/:id", verifyJWT, async (req, res) => {
-      const id = req.params.id;
-      const result = await wishlistCollection.deleteOne({
-        _id: new ObjectId(id),
-      });
-      res.send(result);
-    });
+        try {
+          const eligibility = await getReviewEligibility(
+            req.tokenEmail,
+            bookId
+          );
+          if (!eligibility.canReview) {
+            return res.status(eligibility.existingReview ? 409 : 403).send({
+              code: eligibility.reason,
+              message: reviewIneligibleMessages[eligibility.reason],
+            });
+          }
 
-    app.post("/reviews", verifyJWT, async (req, res) => {
-      const { bookId, userId, userName, rating, reviewText } = req.body;
-      if (userId !== req.tokenEmail) {
-        return res
-          .status(403)
-          .send({ message: "Forbidden: Review user mismatch" });
-      }
+          const reviewData = {
+            bookId: new ObjectId(bookId),
+            userId: req.tokenEmail,
+            userName: userName,
+            rating,
+            reviewText: reviewText || "",
+            verifiedPurchase: true,
+            orderId: eligibility.orderId,
+            status: "visible",
+            helpfulCount: 0,
+            reportCount: 0,
+            createdAt: new Date(),
+          };
+          // The unique { bookId, userId } index settles concurrent submissions
+          const result = await reviewsCollection
+            .insertOne(reviewData)
+            .catch((error) => {
+              if (error.code === 11000) return null;
+              throw error;
+            });
+          if (!result) {
+            return res.status(409).send({
+              code: "ALREADY_REVIEWED",
+              message: reviewIneligibleMessages.ALREADY_REVIEWED,
+            });
+          }
+          await applyRatingDelta(bookId, rating, 1);
+          const book = await booksCollection.findOne(
+            { _id: new ObjectId(bookId) },
+            { projection: { rating: 1, reviewCount: 1 } }
+          );
 
-      if (
-        !bookId ||
-        !userId ||
-        typeof rating === "undefined" ||
-        rating < 1 ||
-        rating > 5
-      ) {
-        return res.status(400).send({ message: "Invalid review data." });
+          res.send({
+            acknowledged: true,
+            insertedId: result.insertedId,
+            newAverageRating: book?.rating ?? null,
+            reviewCount: book?.reviewCount ?? 0,
+          });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to submit review." });
+        }
       }
+    );
 
-      try {
-        // 1. Prepare and Insert the new review
-        const reviewData = {
-          bookId: new ObjectId(bookId),
-          userId: userId,
-          userName: userName,
-          rating: parseInt(rating),
-          reviewText: reviewText || "",
-          createdAt: new Date(),
+    app.get(
+      "/reviews/:bookId",
+      validate({
+        query: {
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+          sort: { type: "string", enum: Object.keys(reviewSortOptions) },
+        },
+      }),
+      async (req, res) => {
+        const query = {
+          bookId: new ObjectId(req.params.bookId),
+          status: { $ne: "hidden" },
         };
-        const result = await reviewsCollection.insertOne(reviewData); // 2. Calculate and Update the Book's Average Rating
+        try {
+          const [result, count] = await Promise.all([
+            paginateIfRequested(
+              reviewsCollection
+                .find(query, { projection: publicReviewProjection })
+                .sort(reviewSortOptions[req.query.sort || "newest"]),
+              req.query,
+              10
+            ).toArray(),
+            reviewsCollection.countDocuments(query),
+          ]);
+          res.set("X-Total-Count", String(count)).send(result);
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch reviews." });
+        }
+      }
+    );
 
-        const allReviews = await reviewsCollection
-          .find({ bookId: new ObjectId(bookId) })
-          .toArray();
-        const totalRating = allReviews.reduce(
-          (sum, review) => sum + review.rating,
-          0
-        );
-        const newAverageRating = (totalRating / allReviews.length).toFixed(1);
+    app.patch(
+      "/reviews/:id",
+      verifyJWT,
+      validate({
+        body: {
+          rating: reviewRatingRule,
+          reviewText: { type: "string", maxLength: 5000 },
+        },
+        partial: true,
+      }),
+      async (req, res) => {
+        if (!Object.keys(req.body).length) {
+          return res.status(400).send({ message: "No fields to update." });
+        }
+        try {
+          const before = await reviewsCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id), userId: req.tokenEmail },
+            { $set: { ...req.body, editedAt: new Date() } },
+            { returnDocument: "before" }
+          );
+          if (!before) {
+            return res.status(404).send({ message: "Review not found." });
+          }
+          const ratingDelta =
+            req.body.rating === undefined ? 0 : req.body.rating - before.rating;
+          if (ratingDelta && isVisibleReview(before)) {
+            await applyRatingDelta(before.bookId, ratingDelta, 0);
+          }
+          const { helpfulBy, reports, ...review } = before;
+          res.send({ acknowledged: true, review: { ...review, ...req.body } });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to update review." });
+        }
+      }
+    );
 
-        await booksCollection.updateOne(
-          { _id: new ObjectId(bookId) },
-          { $set: { rating: newAverageRating }, $inc: { reviewCount: 1 } }
-        );
+    // Authors delete their own reviews; admins may delete any (audited)
+    app.delete("/reviews/:id", verifyJWT, async (req, res) => {
+      try {
+        const review = await reviewsCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!review) {
+          return res.status(404).send({ message: "Review not found." });
+        }
+        if (!(await authorizeOwnership(req, review.userId))) {
+          return res.status(403).send({
+            code: "NOT_OWNER",
+            message: "You can only delete your own reviews.",
+          });
+        }
 
-        res.send({
-          acknowledged: true,
-          insertedId: result.insertedId,
-          newAverageRating,
+        const deleted = await reviewsCollection.findOneAndDelete({
+          _id: review._id,
         });
+        if (deleted && isVisibleReview(deleted)) {
+          await applyRatingDelta(deleted.bookId, -deleted.rating, -1);
+        }
+        if (req.adminOverride) {
+          await recordAudit(req, {
+            action: "review.delete",
+            target: {
+              type: "review",
+              id: req.params.id,
+              ownerEmail: review.userId,
+            },
+            before: pickFields(review, ["bookId", "rating", "reviewText"]),
+          });
+        }
+        res.send({ acknowledged: true, deletedCount: deleted ? 1 : 0 });
       } catch (error) {
-        res.status(500).send({ message: "Failed to submit review." });
+        res.status(500).send({ message: "Failed to delete review." });
       }
     });
 
-    app.get("/reviews/:bookId", async (req, res) => {
+    // Votes are idempotent: the filter only matches when the state would change
+    const setHelpfulVote = async (req, res, helpful) => {
       try {
-        const bookId = req.params.bookId;
-        const reviews = await reviewsCollection
-          .find({ bookId: new ObjectId(bookId) })
-          .sort({ createdAt: -1 })
-          .toArray();
-        res.send(reviews);
+        const review = await reviewsCollection.findOne(
+          { _id: new ObjectId(req.params.id), status: { $ne: "hidden" } },
+          { projection: { userId: 1 } }
+        );
+        if (!review) {
+          return res.status(404).send({ message: "Review not found." });
+        }
+        if (review.userId === req.tokenEmail) {
+          return res.status(409).send({
+            code: "OWN_REVIEW",
+            message: "You cannot vote on your own review.",
+          });
+        }
+        await reviewsCollection.updateOne(
+          {
+            _id: review._id,
+            helpfulBy: helpful ? { $ne: req.tokenEmail } : req.tokenEmail,
+          },
+          helpful
+            ? {
+                $addToSet: { helpfulBy: req.tokenEmail },
+                $inc: { helpfulCount: 1 },
+              }
+            : {
+                $pull: { helpfulBy: req.tokenEmail },
+                $inc: { helpfulCount: -1 },
+              }
+        );
+        const { helpfulCount } = await reviewsCollection.findOne(
+          { _id: review._id },
+          { projection: { helpfulCount: 1 } }
+        );
+        res.send({ acknowledged: true, helpful, helpfulCount });
       } catch (error) {
-        res.status(500).send({ message: "Failed to fetch reviews." });
+        res.status(500).send({ message: "Failed to record vote." });
       }
-    });
-    app.get("/user-can-review/:bookId/:userEmail", async (req, res) => {
-      try {
-        const { bookId, userEmail } = req.params;
+    };
 
-        const hasOrdered = await ordersCollection.findOne({
-          bookId: bookId,
-          email: userEmail,
-          payment_status: "paid",
-        });
+    app.post("/reviews/:id/helpful", verifyJWT, (req, res) =>
+      setHelpfulVote(req, res, true)
+    );
+    app.delete("/reviews/:id/helpful", verifyJWT, (req, res) =>
+      setHelpfulVote(req, res, false)
+    );
+
+    app.post(
+      "/reviews/:id/report",
+      verifyJWT,
+      validate({
+        body: {
+          reason: { type: "string", required: true, enum: reviewReportReasons },
+          note: { type: "string", maxLength: 1000 },
+        },
+      }),
+      async (req, res) => {
+        try {
+          const review = await reviewsCollection.findOne(
+            { _id: new ObjectId(req.params.id) },
+            { projection: { userId: 1 } }
+          );
+          if (!review) {
+            return res.status(404).send({ message: "Review not found." });
+          }
+          if (review.userId === req.tokenEmail) {
+            return res.status(409).send({
+              code: "OWN_REVIEW",
+              message: "You cannot report your own review.",
+            });
+          }
+          const result = await reviewsCollection.updateOne(
+            { _id: review._id, "reports.userEmail": { $ne: req.tokenEmail } },
+            {
+              $push: {
+                reports: {
+                  userEmail: req.tokenEmail,
+                  reason: req.body.reason,
+                  note: req.body.note || "",
+                  createdAt: new Date(),
+                },
+              },
+              $inc: { reportCount: 1 },
+              $set: { lastReportedAt: new Date() },
+            }
+          );
+          if (!result.modifiedCount) {
+            return res.status(409).send({
+              code: "ALREADY_REPORTED",
+              message: "You have already reported this review.",
+            });
+          }
+          res.send({ acknowledged: true });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to report review." });
+        }
+      }
+    );
 
-        if (!hasOrdered) {
-          return res.send({ canReview: false, reason: "NOT_ORDERED" });
+    // moderation queue: reported reviews first, most reported at the top
+    app.get(
+      "/admin/reviews",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        query: {
+          status: { type: "string", enum: ["reported", "visible", "hidden"] },
+          page: { type: "number", integer: true, min: 0 },
+          size: { type: "number", integer: true, min: 1, max: 100 },
+        },
+      }),
+      async (req, res) => {
+        const page = parseInt(req.query.page) || 0;
+        const size = parseInt(req.query.size) || 20;
+        const status = req.query.status || "reported";
+        const query =
+          status === "reported"
+            ? { status: { $ne: "hidden" }, reportCount: { $gt: 0 } }
+            : status === "hidden"
+            ? { status: "hidden" }
+            : { status: { $ne: "hidden" } };
+        try {
+          const [result, count] = await Promise.all([
+            reviewsCollection
+              .find(query, { projection: { helpfulBy: 0 } })
+              .sort(
+                status === "reported"
+                  ? { reportCount: -1, lastReportedAt: -1 }
+                  : { createdAt: -1 }
+              )
+              .skip(page * size)
+              .limit(size)
+              .toArray(),
+            reviewsCollection.countDocuments(query),
+          ]);
+          res.send({ result, count });
+        } catch (error) {
+          res.status(500).send({ message: "Failed to fetch reviews." });
         }
-        const hasReviewed = await reviewsCollection.findOne({
-          bookId: new ObjectId(bookId),
-          userId: userEmail,
-        });
+      }
+    );
 
-        if (hasReviewed) {
-          return res.send({
-            canReview: false,
-            reason: "ALREADY_REVIEWED",
-            existingReview: hasReviewed,
+    // Hiding takes the review out of the book's rating; unhiding puts it back
+    const setReviewVisibility = async (req, res, hidden) => {
+      const update = hidden
+        ? {
+            $set: {
+              status: "hidden",
+              hiddenReason: req.body.reason,
+              hiddenBy: req.tokenEmail,
+              hiddenAt: new Date(),
+            },
+          }
+        : {
+            $set: { status: "visible" },
+            $unset: { hiddenReason: "", hiddenBy: "", hiddenAt: "" },
+          };
+      try {
+        const review = await reviewsCollection.findOneAndUpdate(
+          {
+            _id: new ObjectId(req.params.id),
+            status: hidden ? { $ne: "hidden" } : "hidden",
+          },
+          update,
+          { returnDocument: "after", projection: { helpfulBy: 0 } }
+        );
+        if (!review) {
+          return res.status(409).send({
+            code: hidden ? "REVIEW_ALREADY_HIDDEN" : "REVIEW_NOT_HIDDEN",
+            message: hidden
+              ? "Review is missing or already hidden."
+              : "Review is missing or not hidden.",
           });
         }
-
-        res.send({ canReview: true });
+        await applyRatingDelta(
+          review.bookId,
+          hidden ? -review.rating : review.rating,
+          hidden ? -1 : 1
+        );
+        await recordAudit(req, {
+          action: hidden ? "review.hide" : "review.unhide",
+          target: {
+            type: "review",
+            id: req.params.id,
+            ownerEmail: review.userId,
+          },
+          before: { status: hidden ? "visible" : "hidden" },
+          after: { status: review.status },
+          metadata: hidden ? { reason: req.body.reason } : null,
+        });
+        res.send({ acknowledged: true, review });
       } catch (error) {
-        res
-          .status(500)
-          .send({ message: "Failed to check review eligibility." });
+        res.status(500).send({ message: "Failed to update review." });
+      }
+    };
+
+    app.patch(
+      "/admin/reviews/:id/hide",
+      verifyJWT,
+      verifyAdmin,
+      validate({
+        body: {
+          reason: {
+            type: "string",
+            required: true,
+            minLength: 3,
+            maxLength: 500,
+          },
+        },
+      }),
+      (req, res) => setReviewVisibility(req, res, true)
+    );
+    app.patch("/admin/reviews/:id/unhide", verifyJWT, verifyAdmin, (req, res) =>
+      setReviewVisibility(req, res, false)
+    );
+
+    // The email segment is optional and only accepted when it is the caller's own
+    app.get(
+      "/user-can-review/:bookId{/:userEmail}",
+      verifyJWT,
+      async (req, res) => {
+        const { bookId, userEmail } = req.params;
+        if (userEmail && userEmail !== req.tokenEmail) {
+          return res
+            .status(403)
+            .send({ message: "Forbidden: Email does not match user" });
+        }
+        try {
+          const { orderId, ...eligibility } = await getReviewEligibility(
+            req.tokenEmail,
+            bookId
+          );
+          res.send(eligibility);
+        } catch (error) {
+          res
+            .status(500)
+            .send({ message: "Failed to check review eligibility." });
+        }
+      }
+    );
+
+    // A unique index can't be built while duplicates exist; log which migration
+    // clears them and carry on, so one bad collection doesn't stop the server
+    const createUniqueIndex = (collection, keys, migration) =>
+      collection
+        .createIndex(keys, { unique: true })
+        .catch((error) =>
+          console.error(
+            `Unique index ${JSON.stringify(keys)} on ${
+              collection.collectionName
+            } was not created; run "node migrations/${migration}.js":`,
+            error
+          )
+        );
+
+    await cartsCollection.createIndex(
+      { userEmail: 1, bookId: 1 },
+      { unique: true }
+    );
+    await couponsCollection.createIndex({ code: 1 }, { unique: true });
+    await ordersCollection.createIndex({ payment_status: 1, paidAt: 1 });
+    await auditLogsCollection.createIndex({ createdAt: -1 });
+    await auditLogsCollection.createIndex({ actorEmail: 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ "target.id": 1, createdAt: -1 });
+    await booksCollection.createIndex({ librarianEmail: 1 });
+    await booksCollection.createIndex({ status: 1, submittedForReviewAt: 1 });
+    await reviewsCollection.createIndex({ bookId: 1, createdAt: -1 });
+    await createUniqueIndex(
+      reviewsCollection,
+      { bookId: 1, userId: 1 },
+      "dedupeReviews"
+    );
+    await booksCollection.createIndex(
+      {
+        bookTitle: "text",
+        authorName: "text",
+        isbn: "text",
+        description: "text",
+      },
+      {
+        name: "book_search",
+        weights: { bookTitle: 10, isbn: 10, authorName: 5, description: 1 },
       }
+    );
+
+    // POST /users upserts on every login; concurrent first logins must not create twins
+    await createUniqueIndex(usersCollection, { email: 1 }, "dedupeUsers");
+    await wishlistCollection.createIndex({ bookId: 1 });
+    await wishlistCollection.createIndex({ userEmail: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({
+      recipientEmail: 1,
+      read: 1,
+      createdAt: -1,
+    });
+    await librariesCollection.createIndex({ ownerEmail: 1 }, { unique: true });
+    await librarianApplicationsCollection.createIndex({
+      applicantEmail: 1,
+      submittedAt: -1,
+    });
+
+    await ordersCollection.createIndex({
+      orderType: 1,
+      "loan.status": 1,
+      "loan.dueDate": 1,
     });
 
     await client.db("admin").command({ ping: 1 });
@@ -772,6 +8204,9 @@ app.get("/", (req, res) => {
   res.send("BookCourier Server is operational and secure.");
 });
 
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 app.listen(port, () => {
   console.log(`Server is running on port ${port}`);
 });
@@ -0,0 +1,100 @@
+const PDFDocument = require("pdfkit");
+
+const formatMoney = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Renders an invoice built by the server into a PDF stream; the caller pipes it and calls end()
+const renderInvoicePdf = (invoice) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50 });
+
+  doc.fontSize(20).text("BookCourier", { continued: true });
+  doc.fontSize(20).text("INVOICE", { align: "right" });
+  doc.moveDown(0.5);
+  doc
+    .fontSize(10)
+    .text(`Invoice number: ${invoice.invoiceNumber}`, { align: "right" })
+    .text(`Invoice date: ${formatDate(invoice.issuedAt)}`, { align: "right" })
+    .text(`Order: ${invoice.orderId}`, { align: "right" });
+  doc.moveDown();
+
+  const detailsTop = doc.y;
+  doc.fontSize(11).text("Sold by", 50, detailsTop, { underline: true });
+  doc
+    .fontSize(10)
+    .text(invoice.seller.name || "BookCourier library")
+    .text(invoice.seller.address || "")
+    .text(invoice.seller.email || "");
+
+  doc.fontSize(11).text("Billed to", 320, detailsTop, { underline: true });
+  const address = invoice.customer.address;
+  doc
+    .fontSize(10)
+    .text(address?.recipientName || invoice.customer.email, 320)
+    .text(
+      address
+        ? [address.addressLine, address.city, address.district]
+            .filter(Boolean)
+            .join(", ")
+        : "",
+      320
+    )
+    .text(invoice.customer.email, 320);
+  doc.moveDown(2);
+
+  const columns = { title: 50, quantity: 330, unitPrice: 400, lineTotal: 480 };
+  const tableTop = Math.max(doc.y, detailsTop + 90);
+  doc
+    .fontSize(10)
+    .text("Item", columns.title, tableTop)
+    .text("Qty", columns.quantity, tableTop)
+    .text("Unit price", columns.unitPrice, tableTop)
+    .text("Amount", columns.lineTotal, tableTop);
+  doc
+    .moveTo(50, tableTop + 15)
+    .lineTo(545, tableTop + 15)
+    .stroke();
+
+  let y = tableTop + 25;
+  for (const item of invoice.items) {
+    doc
+      .text(item.bookTitle, columns.title, y, { width: 270 })
+      .text(String(item.quantity), columns.quantity, y)
+      .text(formatMoney(item.unitPrice), columns.unitPrice, y)
+      .text(formatMoney(item.lineTotal), columns.lineTotal, y);
+    y = Math.max(doc.y, y + 15) + 5;
+  }
+  doc.moveTo(50, y).lineTo(545, y).stroke();
+  y += 10;
+
+  const totalLine = (label, value) => {
+    doc.text(label, 330, y).text(value, columns.lineTotal, y);
+    y += 15;
+  };
+  totalLine("Subtotal", formatMoney(invoice.subtotal));
+  totalLine("Shipping", formatMoney(invoice.shippingFee));
+  if (invoice.discount?.amount) {
+    totalLine(
+      `Discount (${invoice.discount.code})`,
+      `-${formatMoney(invoice.discount.amount)}`
+    );
+  }
+  totalLine(
+    `Tax included (${invoice.taxRate}%)`,
+    formatMoney(invoice.taxAmount)
+  );
+  doc.font("Helvetica-Bold");
+  totalLine("Total paid", formatMoney(invoice.total));
+  doc.font("Helvetica");
+  if (invoice.refundedAmount) {
+    totalLine("Refunded", `-${formatMoney(invoice.refundedAmount)}`);
+  }
+
+  doc
+    .fontSize(9)
+    .text(`Payment reference: ${invoice.paymentReference}`, 50, y + 30)
+    .text("Thank you for ordering with BookCourier.", 50, y + 45);
+
+  return doc;
+};
+
+module.exports = { renderInvoicePdf };
@@ -0,0 +1,52 @@
+const { runMigration } = require("./runMigration");
+
+// Paid orders from before invoice numbering get their numbers in the order they
+// were paid. Uses the same claim and counters as the server, so it can run while
+// the server is live
+runMigration(async (db) => {
+  const ordersCollection = db.collection("orders");
+  const countersCollection = db.collection("counters");
+  const unnumbered = { invoiceNumber: { $exists: false } };
+  const orders = await ordersCollection
+    .find(
+      {
+        ...unnumbered,
+        invoiceClaimedAt: { $exists: false },
+        payment_status: { $in: ["paid", "partially_refunded", "refunded"] },
+      },
+      { projection: { paidAt: 1, orderDate: 1 } }
+    )
+    .toArray();
+  const issuedAt = (order) =>
+    new Date(order.paidAt || order.orderDate || order._id.getTimestamp());
+  orders.sort((a, b) => issuedAt(a) - issuedAt(b));
+
+  let numbered = 0;
+  for (const order of orders) {
+    const claimedAt = new Date();
+    const claim = await ordersCollection.updateOne(
+      { _id: order._id, ...unnumbered, invoiceClaimedAt: { $exists: false } },
+      { $set: { invoiceClaimedAt: claimedAt } }
+    );
+    if (claim.modifiedCount === 0) continue;
+
+    const year = issuedAt(order).getUTCFullYear();
+    const counter = await countersCollection.findOneAndUpdate(
+      { _id: `invoice-${year}` },
+      { $inc: { seq: 1 } },
+      { upsert: true, returnDocument: "after" }
+    );
+    await ordersCollection.updateOne(
+      { _id: order._id, invoiceClaimedAt: claimedAt },
+      {
+        $set: {
+          invoiceNumber: `INV-${year}-${String(counter.seq).padStart(6, "0")}`,
+          invoicedAt: new Date(),
+        },
+        $unset: { invoiceClaimedAt: "" },
+      }
+    );
+    numbered += 1;
+  }
+  return { ordersNumbered: numbered };
+});
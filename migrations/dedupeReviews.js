@@ -0,0 +1,57 @@
+const { ObjectId } = require("mongodb");
+const { runMigration } = require("./runMigration");
+
+// One review per user and book: keeps each user's newest review, deletes the
+// rest and recomputes the affected books' rating totals over visible reviews,
+// so the unique { bookId, userId } index can be built
+runMigration(async (db) => {
+  const reviewsCollection = db.collection("reviews");
+  const booksCollection = db.collection("books");
+  const duplicates = await reviewsCollection
+    .aggregate([
+      { $sort: { createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: { bookId: "$bookId", userId: "$userId" },
+          reviewIds: { $push: "$_id" },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  let reviewsDeleted = 0;
+  for (const { _id: key, reviewIds } of duplicates) {
+    const { deletedCount } = await reviewsCollection.deleteMany({
+      _id: { $in: reviewIds.slice(1) },
+    });
+    reviewsDeleted += deletedCount;
+
+    const [totals] = await reviewsCollection
+      .aggregate([
+        { $match: { bookId: key.bookId, status: { $ne: "hidden" } } },
+        {
+          $group: {
+            _id: null,
+            ratingSum: { $sum: "$rating" },
+            reviewCount: { $sum: 1 },
+          },
+        },
+      ])
+      .toArray();
+    await booksCollection.updateOne(
+      { _id: new ObjectId(String(key.bookId)) },
+      {
+        $set: {
+          ratingSum: totals?.ratingSum || 0,
+          reviewCount: totals?.reviewCount || 0,
+          rating: totals
+            ? Math.round((totals.ratingSum / totals.reviewCount) * 10) / 10
+            : null,
+        },
+      }
+    );
+  }
+  return { duplicateGroups: duplicates.length, reviewsDeleted };
+});
@@ -0,0 +1,35 @@
+const { runMigration } = require("./runMigration");
+
+const roleRank = { admin: 3, librarian: 2, courier: 1, user: 0 };
+
+// One profile per email: keeps the twin with the highest role (the oldest one
+// on a tie) and deletes the rest, so the unique email index can be built
+runMigration(async (db) => {
+  const usersCollection = db.collection("users");
+  const duplicates = await usersCollection
+    .aggregate([
+      { $sort: { _id: 1 } },
+      {
+        $group: {
+          _id: "$email",
+          users: { $push: { _id: "$_id", role: "$role" } },
+          count: { $sum: 1 },
+        },
+      },
+      { $match: { count: { $gt: 1 } } },
+    ])
+    .toArray();
+
+  let usersDeleted = 0;
+  for (const { _id: email, users } of duplicates) {
+    const [keep, ...twins] = [...users].sort(
+      (a, b) => (roleRank[b.role] || 0) - (roleRank[a.role] || 0)
+    );
+    const { deletedCount } = await usersCollection.deleteMany({
+      _id: { $in: twins.map((twin) => twin._id) },
+    });
+    usersDeleted += deletedCount;
+    console.log(`${email}: kept ${keep._id} (${keep.role})`);
+  }
+  return { duplicateEmails: duplicates.length, usersDeleted };
+});
@@ -0,0 +1,43 @@
+const { runMigration } = require("./runMigration");
+
+const bookStatuses = [
+  "draft",
+  "pending_review",
+  "published",
+  "rejected",
+  "unpublished",
+];
+
+// Statuses were free text before the publication workflow. Published-like
+// values stay live, "unpublished" stays hidden, anything else becomes a draft.
+// Published books from before reviews existed count as approved
+runMigration(async (db) => {
+  const booksCollection = db.collection("books");
+  const legacy = { status: { $nin: bookStatuses } };
+  const published = await booksCollection.updateMany(
+    {
+      $and: [
+        legacy,
+        { status: /^\s*(published|publish|live|active|approved)\s*$/i },
+      ],
+    },
+    { $set: { status: "published" } }
+  );
+  const unpublished = await booksCollection.updateMany(
+    { $and: [legacy, { status: /^\s*unpublished\s*$/i }] },
+    { $set: { status: "unpublished" } }
+  );
+  const drafts = await booksCollection.updateMany(legacy, {
+    $set: { status: "draft" },
+  });
+  const approved = await booksCollection.updateMany(
+    { status: "published", approvedAt: { $exists: false } },
+    [{ $set: { approvedAt: "$$NOW" } }]
+  );
+  return {
+    published: published.modifiedCount,
+    unpublished: unpublished.modifiedCount,
+    drafts: drafts.modifiedCount,
+    approvedAtBackfilled: approved.modifiedCount,
+  };
+});
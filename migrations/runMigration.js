@@ -0,0 +1,19 @@
+require("dotenv").config();
+const { MongoClient } = require("mongodb");
+
+// One-off data fixes run by hand (`node migrations/<name>.js`), never on server start.
+// Each migration is safe to run again and logs what it changed.
+const runMigration = (migrate) => {
+  const client = new MongoClient(process.env.MONGODB_URL);
+  client
+    .connect()
+    .then(() => migrate(client.db("booksDB")))
+    .then((summary) => console.log(summary))
+    .catch((error) => {
+      console.error(error);
+      process.exitCode = 1;
+    })
+    .finally(() => client.close());
+};
+
+module.exports = { runMigration };
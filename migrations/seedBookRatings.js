@@ -0,0 +1,48 @@
+const { runMigration } = require("./runMigration");
+
+// Ratings used to be recomputed strings; books created before the running totals
+// existed get ratingSum/reviewCount/rating seeded from their visible reviews
+runMigration(async (db) => {
+  const booksCollection = db.collection("books");
+  const unseededBooks = await booksCollection
+    .find({ ratingSum: { $exists: false } }, { projection: { _id: 1 } })
+    .toArray();
+  if (!unseededBooks.length) return { booksSeeded: 0 };
+
+  const ratingTotals = await db
+    .collection("reviews")
+    .aggregate([
+      { $match: { status: { $ne: "hidden" } } },
+      {
+        $group: {
+          _id: "$bookId",
+          ratingSum: { $sum: "$rating" },
+          reviewCount: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  const totalsByBook = new Map(
+    ratingTotals.map((total) => [total._id?.toString(), total])
+  );
+  const result = await booksCollection.bulkWrite(
+    unseededBooks.map(({ _id }) => {
+      const total = totalsByBook.get(_id.toString());
+      return {
+        updateOne: {
+          filter: { _id, ratingSum: { $exists: false } },
+          update: {
+            $set: {
+              ratingSum: total?.ratingSum || 0,
+              reviewCount: total?.reviewCount || 0,
+              rating: total
+                ? Math.round((total.ratingSum / total.reviewCount) * 10) / 10
+                : null,
+            },
+          },
+        },
+      };
+    })
+  );
+  return { booksSeeded: result.modifiedCount };
+});
@@ -0,0 +1,26 @@
+const { runMigration } = require("./runMigration");
+
+// librarianEmail is the owner; seller_libarien.email is the display mirror.
+// Books from before librarianEmail existed get it from the mirror, every other
+// book has its mirror overwritten with the owner wherever the two differ
+runMigration(async (db) => {
+  const booksCollection = db.collection("books");
+  const backfilled = await booksCollection.updateMany(
+    {
+      librarianEmail: { $exists: false },
+      "seller_libarien.email": { $exists: true },
+    },
+    [{ $set: { librarianEmail: "$seller_libarien.email" } }]
+  );
+  const mirrored = await booksCollection.updateMany(
+    {
+      librarianEmail: { $exists: true },
+      $expr: { $ne: ["$seller_libarien.email", "$librarianEmail"] },
+    },
+    [{ $set: { "seller_libarien.email": "$librarianEmail" } }]
+  );
+  return {
+    ownersBackfilled: backfilled.modifiedCount,
+    mirrorsUpdated: mirrored.modifiedCount,
+  };
+});
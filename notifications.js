@@ -0,0 +1,147 @@
+const nodemailer = require("nodemailer");
+
+const orderRef = (order) => `#${String(order._id).slice(-8).toUpperCase()}`;
+const formatPrice = (amount) => `$${(Number(amount) || 0).toFixed(2)}`;
+const orderTotal = (order) => formatPrice(order.totalAmount ?? order.price);
+const statusLabel = (status) => String(status || "").replace(/_/g, " ");
+
+// Each event renders the in-app title/message and the email from the same data;
+// `link` is a client path, turned into an absolute URL for emails
+const notificationTemplates = {
+  order_created: ({ order }) => ({
+    title: "Order placed",
+    message: `We received your order ${orderRef(order)} (${
+      order.bookTitle
+    }) for ${orderTotal(order)}.`,
+    link: `/dashboard/my-orders?orderId=${order._id}`,
+  }),
+  payment_succeeded: ({ order }) => ({
+    title: "Payment received",
+    message: `Your payment of ${orderTotal(order)} for order ${orderRef(
+      order
+    )} was successful.`,
+    link: `/dashboard/my-orders?orderId=${order._id}`,
+  }),
+  new_paid_order: ({ order }) => ({
+    title: "New paid order",
+    message: `Order ${orderRef(order)} (${orderTotal(
+      order
+    )}) has been paid and is ready to process.`,
+    link: `/dashboard/orders?orderId=${order._id}`,
+  }),
+  order_status_changed: ({ order, status }) => ({
+    title: `Order ${statusLabel(status)}`,
+    message: `Your order ${orderRef(order)} is now ${statusLabel(status)}.`,
+    link: `/dashboard/my-orders?orderId=${order._id}`,
+  }),
+  order_cancelled: ({ order, cancelledBy, note }) => ({
+    title: "Order cancelled",
+    message: `Order ${orderRef(order)} was cancelled by ${cancelledBy}.${
+      note ? ` Reason: ${note}` : ""
+    }`,
+    link: `/dashboard/my-orders?orderId=${order._id}`,
+  }),
+  wishlist_price_drop: ({ book, oldPrice }) => ({
+    title: "Price drop on your wishlist",
+    message: `${book.bookTitle} dropped from ${formatPrice(
+      oldPrice
+    )} to ${formatPrice(book.price)}.`,
+    link: `/books/${book._id}`,
+  }),
+  wishlist_back_in_stock: ({ book }) => ({
+    title: "Back in stock",
+    message: `${book.bookTitle} from your wishlist is back in stock.`,
+    link: `/books/${book._id}`,
+  }),
+  book_approved: ({ book }) => ({
+    title: "Book published",
+    message: `${book.bookTitle} was approved and is now live.`,
+    link: `/books/${book._id}`,
+  }),
+  book_rejected: ({ book, feedback }) => ({
+    title: "Book needs changes",
+    message: `${book.bookTitle} was not approved. Reason: ${feedback}`,
+    link: "/dashboard/my-books",
+  }),
+  loan_overdue: ({ order }) => ({
+    title: "Loan overdue",
+    message: `${order.bookTitle} was due on ${new Date(order.loan.dueDate)
+      .toISOString()
+      .slice(0, 10)}. Late fees of ${formatPrice(
+      order.loan.dailyLateFee
+    )} per day apply until it is returned.`,
+    link: `/dashboard/my-loans?orderId=${order._id}`,
+  }),
+  loan_returned: ({ order, depositRefund, outstandingLateFee }) => ({
+    title: "Loan returned",
+    message: `The library received ${order.bookTitle}. ${formatPrice(
+      depositRefund
+    )} of your deposit is being refunded.${
+      outstandingLateFee > 0
+        ? ` A late fee of ${formatPrice(outstandingLateFee)} is still due.`
+        : ""
+    }`,
+    link: `/dashboard/my-loans?orderId=${order._id}`,
+  }),
+  role_changed: ({ role }) => ({
+    title: "Account role updated",
+    message: `Your account now has the ${role} role.`,
+    link: "/dashboard",
+  }),
+};
+
+const notificationEvents = Object.keys(notificationTemplates);
+
+const renderNotification = (event, data, clientDomain = "") => {
+  const { title, message, link } = notificationTemplates[event](data);
+  const url = clientDomain ? `${clientDomain}${link}` : link;
+  return {
+    title,
+    message,
+    link,
+    email: {
+      subject: `BookCourier: ${title}`,
+      text: `${message}\n\nView it here: ${url}\n\nYou can change which emails you receive in your notification settings.`,
+    },
+  };
+};
+
+// SMTP when SMTP_HOST is configured. Without it, development logs each message
+// instead of sending it; production drops them, as recipients and bodies must
+// not end up in its logs
+const createMailTransport = (env = process.env) => {
+  if (!env.SMTP_HOST) {
+    if (env.NODE_ENV === "production") {
+      console.warn("SMTP_HOST is not set; notification emails are disabled.");
+      return { send: async () => {} };
+    }
+    return {
+      send: async ({ to, subject, text }) => {
+        console.log(`[mail] to=${to} subject="${subject}"\n${text}`);
+      },
+    };
+  }
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port: Number(env.SMTP_PORT) || 587,
+    secure: env.SMTP_SECURE === "true",
+    auth: env.SMTP_USER
+      ? { user: env.SMTP_USER, pass: env.SMTP_PASS }
+      : undefined,
+  });
+  return {
+    send: ({ to, subject, text }) =>
+      transporter.sendMail({
+        from: env.MAIL_FROM || env.SMTP_USER,
+        to,
+        subject,
+        text,
+      }),
+  };
+};
+
+module.exports = {
+  notificationEvents,
+  renderNotification,
+  createMailTransport,
+};
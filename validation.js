@@ -0,0 +1,216 @@
+const { ApiError } = require("./errors");
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isPlainObject = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Rule shape: { type, required, nullable, roles, min, max, integer, minLength,
+// maxLength, enum, pattern, fields (objects), items (arrays), maxItems }.
+// Numbers and booleans also accept their string forms, since query strings,
+// params and many form posts only carry strings.
+const checkValue = (rule, value, field) => {
+  const fail = (message) => ({ details: [{ field, message }] });
+
+  switch (rule.type) {
+    case "string":
+    case "email":
+    case "objectId":
+    case "date": {
+      if (typeof value !== "string") return fail("must be a string");
+      if (rule.type === "email" && !emailPattern.test(value)) {
+        return fail("must be a valid email address");
+      }
+      if (rule.type === "objectId" && !/^[0-9a-f]{24}$/i.test(value)) {
+        return fail("must be a valid id");
+      }
+      if (rule.type === "date" && isNaN(new Date(value))) {
+        return fail("must be a valid date");
+      }
+      if (
+        rule.minLength !== undefined &&
+        value.trim().length < rule.minLength
+      ) {
+        return fail(`must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) {
+        return fail("has an invalid format");
+      }
+      break;
+    }
+    case "number": {
+      const number =
+        typeof value === "string" && value.trim() !== ""
+          ? Number(value)
+          : value;
+      if (typeof number !== "number" || !Number.isFinite(number)) {
+        return fail("must be a number");
+      }
+      if (rule.integer && !Number.isInteger(number)) {
+        return fail("must be an integer");
+      }
+      if (rule.min !== undefined && number < rule.min) {
+        return fail(`must be at least ${rule.min}`);
+      }
+      if (rule.max !== undefined && number > rule.max) {
+        return fail(`must be at most ${rule.max}`);
+      }
+      value = number;
+      break;
+    }
+    case "boolean": {
+      if (value === "true" || value === "false") value = value === "true";
+      if (typeof value !== "boolean") return fail("must be true or false");
+      break;
+    }
+    case "object": {
+      if (!isPlainObject(value)) return fail("must be an object");
+      if (rule.fields) {
+        return validateFields(rule.fields, value, {}, `${field}.`);
+      }
+      break;
+    }
+    case "array": {
+      if (!Array.isArray(value)) return fail("must be an array");
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        return fail(`must have at most ${rule.maxItems} entries`);
+      }
+      if (rule.items) {
+        const details = [];
+        const items = value.map((item, index) => {
+          const result = checkValue(rule.items, item, `${field}[${index}]`);
+          details.push(...result.details);
+          return result.value;
+        });
+        return { value: items, details };
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown validation type "${rule.type}" for ${field}`);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of: ${rule.enum.join(", ")}`);
+  }
+  return { value, details: [] };
+};
+
+// Returns only the fields declared in the schema; undeclared fields and fields
+// the caller's role may not write are reported instead of silently dropped
+const validateFields = (schema, input, options = {}, prefix = "") => {
+  const { partial = false, allowUnknown = false, role } = options;
+  if (!isPlainObject(input)) {
+    return {
+      details: [{ field: prefix || "body", message: "must be an object" }],
+    };
+  }
+
+  const details = [];
+  const value = {};
+  for (const key of Object.keys(input)) {
+    const rule = schema[key];
+    if (!rule) {
+      if (!allowUnknown) {
+        details.push({
+          field: prefix + key,
+          message: "is not an allowed field",
+        });
+      }
+    } else if (rule.roles && !rule.roles.includes(role)) {
+      details.push({
+        field: prefix + key,
+        message: "cannot be set with your role",
+      });
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const field = prefix + key;
+    const raw = input[key];
+    if (rule.roles && !rule.roles.includes(role)) continue;
+    if (raw === undefined) {
+      if (rule.required && !partial) {
+        details.push({ field, message: "is required" });
+      }
+      continue;
+    }
+    if (raw === null) {
+      if (rule.nullable) value[key] = null;
+      else details.push({ field, message: "must not be null" });
+      continue;
+    }
+    const result = checkValue(rule, raw, field);
+    if (result.details.length) details.push(...result.details);
+    else value[key] = result.value;
+  }
+  return { value, details };
+};
+
+// Route middleware: validate({ params, query, body, partial }). Query and
+// params tolerate extra keys; bodies are whitelisted and replaced with the
+// validated copy so handlers never see undeclared fields.
+const validate =
+  ({ params, query, body, partial = false }) =>
+  (req, res, next) => {
+    const details = [];
+    const check = (schema, input, source, options) => {
+      const result = validateFields(schema, input ?? {}, {
+        role: req.userRole,
+        ...options,
+      });
+      details.push(
+        ...result.details.map((detail) => ({ ...detail, in: source }))
+      );
+      return result.value;
+    };
+
+    if (params) check(params, req.params, "params", { allowUnknown: true });
+    if (query) check(query, req.query, "query", { allowUnknown: true });
+    const validBody = body && check(body, req.body, "body", { partial });
+
+    if (details.length) {
+      return next(
+        new ApiError(
+          400,
+          "VALIDATION_FAILED",
+          "Request validation failed.",
+          details
+        )
+      );
+    }
+    if (body) req.body = validBody;
+    next();
+  };
+
+// Route params with these names are checked wherever they appear, so a
+// malformed id is a 400 before any handler calls new ObjectId()
+const paramRules = {
+  id: { type: "objectId" },
+  orderId: { type: "objectId" },
+  bookId: { type: "objectId" },
+  email: { type: "email" },
+  userEmail: { type: "email" },
+};
+
+const registerParamValidators = (app) => {
+  for (const [name, rule] of Object.entries(paramRules)) {
+    app.param(name, (req, res, next, value) => {
+      const { details } = checkValue(rule, value, name);
+      if (!details.length) return next();
+      next(
+        new ApiError(
+          400,
+          "VALIDATION_FAILED",
+          "Request validation failed.",
+          details.map((detail) => ({ ...detail, in: "params" }))
+        )
+      );
+    });
+  }
+};
+
+module.exports = { validate, validateFields, registerParamValidators };